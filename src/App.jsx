@@ -1,54 +1,252 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import Papa from 'papaparse'
-import { generateStandardizedFields, detectOrganization, calculateCompletionScore } from './utils/dataEngine'
+import { format } from 'date-fns'
+import {
+  calculateCompletionScore,
+  calculateDataQuality,
+  QualityFlagLabels,
+  applyCalculations,
+  validateReport,
+  checkIndicatorConsistency,
+  isFieldVisible,
+  otherResponseId,
+  nonResponseId,
+  getNonResponseReason,
+  isCalculatedField,
+  isEmptyValue,
+  describeIndicatorMetadata,
+  matchesIndicatorFilter,
+  RuleSeverity,
+  TierSources
+} from './utils/dataEngine'
+import { parseIndicatorDefinitions } from './utils/indicatorDefinition'
+import { createIdMigration, migrateResponses } from './utils/indicatorIds'
+import { toResponseCsv, CheckboxExportModes } from './utils/tabularExport'
+import { serializeReport, parseReport } from './utils/reportSchema'
+import {
+  addAttachment,
+  getAttachment,
+  removeAttachment,
+  migrateEvidence,
+  listEvidenceAttachments,
+  readEvidenceFiles,
+  updateIndicatorEvidence
+} from './utils/evidence'
+import {
+  createSubmittedReport,
+  emptyAttestation,
+  IntegrityStatus,
+  submissionBlockers,
+  verifyReport
+} from './utils/submission'
+import {
+  saveDraft,
+  listDrafts,
+  deleteDraft,
+  duplicateDraft,
+  renameDraft,
+  restoreDraft,
+  createDraftId
+} from './utils/draftStore'
+import { calculationContext, periodSlug } from './utils/reportingPeriod'
+import { buildComparison, getFieldComparison, ComparisonStatus } from './utils/periodComparison'
+import { buildBenchmarkBundle, parseBenchmarkBundle, findBenchmark, MIN_GROUP_SIZE } from './utils/benchmarks'
+import {
+  DEFAULT_ORGANIZATIONS,
+  UNKNOWN_ORGANIZATION,
+  matchOrganization,
+  parseRegistry,
+  loadRegistry,
+  saveRegistry,
+  resetRegistry
+} from './utils/organizationRegistry'
+import { getProfile, buildPrefill, updateProfileFromReport } from './utils/organizationProfile'
+import DraftList from './components/DraftList'
+import EvidencePanel from './components/EvidencePanel'
+import ReviewScreen from './components/ReviewScreen'
+import PeriodSelector from './components/PeriodSelector'
+import FieldRenderer from './components/FieldRenderer'
+import IndicatorNavigator from './components/IndicatorNavigator'
+import ImportReview from './components/ImportReview'
+import NetworkDashboard from './components/NetworkDashboard'
+import OrganizationConfirm from './components/OrganizationConfirm'
+
+const AUTOSAVE_DELAY_MS = 1000
+
+const downloadFile = (content, filename, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
 
 function App() {
   const [csvData, setCsvData] = useState(null)
   const [organization, setOrganization] = useState(null)
+  const [period, setPeriod] = useState(null)
+  const [editingPeriod, setEditingPeriod] = useState(false)
   const [indicators, setIndicators] = useState([])
   const [currentIndicator, setCurrentIndicator] = useState(0)
+  const [indicatorFilter, setIndicatorFilter] = useState({ tier: 'all', category: 'all' })
   const [responses, setResponses] = useState({})
-  const [isComplete, setIsComplete] = useState(false)
+  const [touchedFields, setTouchedFields] = useState({})
+  const [showAllErrors, setShowAllErrors] = useState(false)
+  const [focusFieldId, setFocusFieldId] = useState(null)
+  const [checkboxExportMode, setCheckboxExportMode] = useState(CheckboxExportModes.JOINED)
+  const [importSummary, setImportSummary] = useState(null)
+  const [draft, setDraft] = useState(null)
+  const [drafts, setDrafts] = useState([])
+  const [lastSavedAt, setLastSavedAt] = useState(null)
+  const [saveError, setSaveError] = useState(null)
+  const [previousReport, setPreviousReport] = useState(null)
+  const [networkReports, setNetworkReports] = useState(null)
+  const [benchmarks, setBenchmarks] = useState(null)
+  const [registry, setRegistry] = useState({ organizations: DEFAULT_ORGANIZATIONS, fileName: null })
+  const [organizationMatch, setOrganizationMatch] = useState(null)
+  const [importReview, setImportReview] = useState(null)
+  const [workplanUpdate, setWorkplanUpdate] = useState(null)
+  const [prefilled, setPrefilled] = useState({})
+  const [evidence, setEvidence] = useState({})
+  const [reviewing, setReviewing] = useState(false)
+  const [reviewed, setReviewed] = useState({})
+  const [attestation, setAttestation] = useState(emptyAttestation)
+  const [submitted, setSubmitted] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const pendingSaveRef = useRef(null)
+
+  useEffect(() => {
+    listDrafts()
+      .then(setDrafts)
+      .catch(error => console.error('Error loading drafts:', error))
+    loadRegistry()
+      .then(setRegistry)
+      .catch(error => console.error('Error loading organization registry:', error))
+  }, [])
+
+  // Autosave the active draft shortly after every change
+  useEffect(() => {
+    if (!draft || indicators.length === 0) return
+
+    const persist = () => saveDraft({
+      ...draft,
+      organization,
+      period,
+      indicators,
+      responses,
+      csvData,
+      currentIndicator,
+      previousReport,
+      benchmarks,
+      prefilled,
+      evidence,
+      reviewed,
+      attestation,
+      submitted
+    })
+      .then(saved => {
+        setLastSavedAt(saved.updatedAt)
+        setSaveError(null)
+      })
+      .catch(error => {
+        console.error('Error saving draft:', error)
+        setSaveError(error.message)
+      })
+
+    pendingSaveRef.current = persist
+    const timer = setTimeout(() => {
+      pendingSaveRef.current = null
+      persist()
+    }, AUTOSAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [draft, organization, period, indicators, responses, csvData, currentIndicator, previousReport, benchmarks, prefilled, evidence, reviewed, attestation, submitted])
+
+  // Derived before any early return: the review screen's submit and export handlers read it
+  const comparison = useMemo(() => (
+    previousReport ? buildComparison({ indicators, responses, previous: previousReport.report }) : null
+  ), [previousReport, indicators, responses])
+
+  // Flush a pending save when the tab is hidden or closed
+  useEffect(() => {
+    const flush = () => {
+      if (document.visibilityState === 'hidden' && pendingSaveRef.current) {
+        pendingSaveRef.current()
+        pendingSaveRef.current = null
+      }
+    }
+    document.addEventListener('visibilitychange', flush)
+    return () => document.removeEventListener('visibilitychange', flush)
+  }, [])
+
+  // Scroll to a field once the indicator containing it has rendered
+  useEffect(() => {
+    if (!focusFieldId) return
+    const element = document.getElementById(`field-${focusFieldId}`)
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+      element.querySelector('input, select, textarea')?.focus({ preventScroll: true })
+    }
+    setFocusFieldId(null)
+  }, [focusFieldId, currentIndicator])
+
+  // Start a report from workplan rows; the detected organization is confirmed before reporting starts
+  const startWorkplan = (rows, indicatorList, fileName) => {
+    const match = matchOrganization({ csvData: rows, fileName, registry: registry.organizations })
+
+    startReport({
+      csvData: rows,
+      organization: match.organization || UNKNOWN_ORGANIZATION,
+      indicators: indicatorList,
+      responses: {}
+    })
+    setOrganizationMatch({ ...match, fileName })
+  }
+
+  // Indicator definition files (JSON) declare every field explicitly
+  const handleDefinitionUpload = async (file) => {
+    try {
+      const definedIndicators = parseIndicatorDefinitions(await file.text())
+      startWorkplan(
+        definedIndicators.map(indicator => ({
+          Indicator: indicator.title,
+          'Measurement Method': indicator.method,
+          Notes: indicator.description
+        })),
+        definedIndicators,
+        file.name
+      )
+    } catch (error) {
+      console.error('Error processing indicator definitions:', error)
+      alert('Error processing indicator definitions: ' + error.message)
+    }
+  }
 
   const handleFileUpload = (event) => {
     const file = event.target.files[0]
     if (!file) return
 
-    console.log('File selected:', file.name)
+    if (/\.json$/i.test(file.name)) {
+      handleDefinitionUpload(file)
+      event.target.value = ''
+      return
+    }
 
+    reviewWorkplanFile(file)
+    event.target.value = ''
+  }
+
+  // Columns, inferred fields and parse warnings are reviewed before the form is built
+  const reviewWorkplanFile = (file, { updating = false } = {}) => {
     Papa.parse(file, {
       complete: (results) => {
-        console.log('CSV parse complete:', results)
-        
-        if (results.errors && results.errors.length > 0) {
-          console.error('CSV parsing errors:', results.errors)
-          alert('Error parsing CSV file: ' + results.errors[0].message)
-          return
-        }
-
         if (!results.data || results.data.length === 0) {
           alert('CSV file appears to be empty or invalid')
           return
         }
 
-        console.log('CSV data:', results.data)
-        setCsvData(results.data)
-        
-        try {
-          const detectedOrg = detectOrganization(results.data)
-          console.log('Detected organization:', detectedOrg)
-          setOrganization(detectedOrg)
-          
-          const standardizedIndicators = generateStandardizedFields(results.data)
-          console.log('Generated indicators:', standardizedIndicators)
-          setIndicators(standardizedIndicators)
-          setCurrentIndicator(0)
-          setResponses({})
-          setIsComplete(false)
-        } catch (error) {
-          console.error('Error processing CSV:', error)
-          alert('Error processing CSV file: ' + error.message)
-        }
+        setImportReview({ fileName: file.name, data: results.data, parseErrors: results.errors || [], updating })
       },
       error: (error) => {
         console.error('Papa Parse error:', error)
@@ -59,53 +257,645 @@ function App() {
     })
   }
 
+  // A revised workplan for the open report; answers follow their indicators by id
+  const handleWorkplanUpdateUpload = (event) => {
+    const file = event.target.files[0]
+    if (file) reviewWorkplanFile(file, { updating: true })
+    event.target.value = ''
+  }
+
+  const handleImportReviewed = (reviewedIndicators) => {
+    const { data, fileName, updating } = importReview
+    setImportReview(null)
+    if (updating) {
+      updateWorkplan(data, reviewedIndicators, fileName)
+    } else {
+      startWorkplan(data, reviewedIndicators, fileName)
+    }
+  }
+
+  const updateWorkplan = (rows, revisedIndicators, fileName) => {
+    const migration = createIdMigration(indicators, revisedIndicators)
+    const migratedResponses = migrateResponses(responses, migration)
+
+    // Only answers someone typed in are counted, not calculated values
+    const inputFieldIds = (indicatorList) => new Set(indicatorList.flatMap(indicator => (
+      indicator.fields.filter(field => !isCalculatedField(field)).map(field => field.id)
+    )))
+    const previousInputIds = inputFieldIds(indicators)
+    const revisedInputIds = inputFieldIds(revisedIndicators)
+    const answeredIds = (fieldResponses) => Object.keys(fieldResponses)
+      .filter(fieldId => !isEmptyValue(fieldResponses[fieldId]))
+    const currentId = indicators[currentIndicator]?.id
+
+    setCsvData(rows)
+    setIndicators(revisedIndicators)
+    setResponses(applyCalculations(revisedIndicators, migratedResponses, calculationContext(period)))
+    setPrefilled(migrateResponses(prefilled, migration))
+    const migratedEvidence = migrateEvidence(evidence, migration)
+    const keptAttachmentIds = new Set(listEvidenceAttachments(migratedEvidence).map(attachment => attachment.id))
+    listEvidenceAttachments(evidence)
+      .filter(attachment => !keptAttachmentIds.has(attachment.id))
+      .forEach(attachment => removeAttachment(attachment.id)
+        .catch(error => console.error('Error removing attachment:', error)))
+    setEvidence(migratedEvidence)
+    setCurrentIndicator(Math.max(revisedIndicators.findIndex(indicator => indicator.id === migration.indicators[currentId]), 0))
+    setIndicatorFilter({ tier: 'all', category: 'all' })
+    setTouchedFields({})
+    setWorkplanUpdate({
+      fileName,
+      reattachedCount: answeredIds(migratedResponses).filter(fieldId => revisedInputIds.has(fieldId)).length,
+      droppedCount: answeredIds(responses).filter(fieldId => previousInputIds.has(fieldId) && !migration.fields[fieldId]).length,
+      renamed: migration.renamed,
+      added: migration.added.map(indicator => ({ id: indicator.id, title: indicator.title })),
+      removed: migration.removed.map(indicator => ({ id: indicator.id, title: indicator.title }))
+    })
+  }
+
+  const handleReportUpload = async (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+
+    try {
+      const text = await file.text()
+      const report = parseReport(text)
+
+      // A submitted report is checked against its content hash; re-opening it starts an amendment
+      const integrity = report.submission
+        ? await verifyReport(JSON.parse(text)).catch(error => {
+          console.error('Error verifying report:', error)
+          return null
+        })
+        : null
+
+      startReport({
+        // Keep the indicator source rows so the form view renders as after a CSV upload
+        csvData: report.indicators.map(indicator => ({
+          Indicator: indicator.title,
+          'Measurement Method': indicator.method,
+          Notes: indicator.description
+        })),
+        organization: report.organization,
+        period: report.period,
+        indicators: report.indicators,
+        responses: report.responses,
+        evidence: report.evidence,
+        importSummary: { fileName: file.name, ...report.summary, submission: report.submission, integrity }
+      })
+    } catch (error) {
+      console.error('Error opening report:', error)
+      alert('Error opening report: ' + error.message)
+    } finally {
+      event.target.value = ''
+    }
+  }
+
+  // Load a report into the form; new CSV uploads and opened files start a new draft
+  const startReport = ({
+    csvData: sourceRows,
+    organization: reportOrganization,
+    period: reportPeriod = null,
+    indicators: reportIndicators,
+    responses: reportResponses,
+    currentIndicator: startIndicator = 0,
+    importSummary: summary = null,
+    previousReport: priorReport = null,
+    benchmarks: benchmarkBundle = null,
+    prefilled: prefilledFields = {},
+    evidence: reportEvidence = {},
+    reviewed: reviewedIndicators = {},
+    attestation: reportAttestation = emptyAttestation(),
+    submitted: submittedReport = null,
+    draft: existingDraft = null
+  }) => {
+    setCsvData(sourceRows)
+    setOrganization(reportOrganization)
+    setPeriod(reportPeriod)
+    setEditingPeriod(false)
+    setIndicators(reportIndicators)
+    setCurrentIndicator(startIndicator)
+    setIndicatorFilter({ tier: 'all', category: 'all' })
+    setResponses(reportResponses)
+    setTouchedFields({})
+    setShowAllErrors(false)
+    setImportSummary(summary)
+    setPreviousReport(priorReport)
+    setBenchmarks(benchmarkBundle)
+    setOrganizationMatch(null)
+    setPrefilled(prefilledFields)
+    setEvidence(reportEvidence)
+    setReviewed(reviewedIndicators)
+    setAttestation(reportAttestation)
+    setSubmitted(submittedReport)
+    // A submitted draft opens on its locked review screen
+    setReviewing(Boolean(submittedReport))
+    setWorkplanUpdate(null)
+    setDraft(existingDraft || { id: createDraftId(), name: null, createdAt: null })
+    setLastSavedAt(existingDraft?.updatedAt || null)
+    setSaveError(null)
+  }
+
+  // Load a prior period's exported report to compare against
+  const handlePreviousReportUpload = async (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+
+    try {
+      const source = JSON.parse(await file.text())
+      const report = parseReport(source)
+
+      const otherCode = report.organization.code
+      if (otherCode && organization?.code && otherCode !== organization.code &&
+        !confirm(`${file.name} is a report for ${report.organization.name}. Compare with it anyway?`)) {
+        return
+      }
+      if (report.period && report.period.label === period?.label &&
+        !confirm(`${file.name} covers the same period (${period.label}). Compare with it anyway?`)) {
+        return
+      }
+
+      setPreviousReport({ fileName: file.name, source, report })
+    } catch (error) {
+      console.error('Error opening previous report:', error)
+      alert('Error opening previous report: ' + (error instanceof SyntaxError ? 'This file is not valid JSON' : error.message))
+    } finally {
+      event.target.value = ''
+    }
+  }
+
+  // Add member organizations' exported reports to the network dashboard
+  const handleNetworkReportUpload = async (event) => {
+    const files = Array.from(event.target.files)
+    const loaded = []
+    const failed = []
+
+    for (const file of files) {
+      try {
+        loaded.push({ ...parseReport(await file.text()), fileName: file.name })
+      } catch (error) {
+        console.error(`Error opening ${file.name}:`, error)
+        failed.push(`${file.name}: ${error.message}`)
+      }
+    }
+
+    setNetworkReports(current => [...(current || []), ...loaded])
+    if (failed.length > 0) {
+      alert('Some reports could not be opened:\n' + failed.join('\n'))
+    }
+    event.target.value = ''
+  }
+
+  const handleBenchmarkUpload = async (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+
+    try {
+      const bundle = parseBenchmarkBundle(await file.text())
+      if (bundle.benchmarks.length === 0) {
+        alert(`${file.name} has no benchmarks with at least ${bundle.minGroupSize} organizations.`)
+        return
+      }
+      setBenchmarks({ ...bundle, fileName: file.name })
+    } catch (error) {
+      console.error('Error opening benchmarks:', error)
+      alert('Error opening benchmarks: ' + error.message)
+    } finally {
+      event.target.value = ''
+    }
+  }
+
+  const exportBenchmarks = (aggregate) => {
+    const bundle = buildBenchmarkBundle(aggregate, { minGroupSize: MIN_GROUP_SIZE })
+    if (bundle.benchmarks.length === 0) {
+      alert(`No field has answers from at least ${MIN_GROUP_SIZE} organizations yet, so there is nothing to share.`)
+      return
+    }
+    downloadFile(
+      JSON.stringify(bundle, null, 2),
+      `benchmarks-${new Date().toISOString().split('T')[0]}.json`,
+      'application/json'
+    )
+  }
+
+  const handleRegistryUpload = async (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+
+    try {
+      const { organizations, errors } = parseRegistry(await file.text(), file.name)
+      const loaded = { organizations, fileName: file.name }
+      await saveRegistry(loaded)
+      setRegistry(loaded)
+      if (organizationMatch) rematchOrganization(loaded)
+      if (errors.length > 0) {
+        alert(`Loaded ${organizations.length} organizations. Some entries were skipped:\n` + errors.join('\n'))
+      }
+    } catch (error) {
+      console.error('Error loading organization registry:', error)
+      alert('Error loading organization registry: ' + error.message)
+    } finally {
+      event.target.value = ''
+    }
+  }
+
+  const handleResetRegistry = async () => {
+    const builtIn = { organizations: DEFAULT_ORGANIZATIONS, fileName: null }
+    try {
+      await resetRegistry()
+    } catch (error) {
+      console.error('Error resetting organization registry:', error)
+    }
+    setRegistry(builtIn)
+    if (organizationMatch) rematchOrganization(builtIn)
+  }
+
+  const rematchOrganization = (activeRegistry) => {
+    const fileName = organizationMatch?.fileName || ''
+    const match = matchOrganization({ csvData, fileName, registry: activeRegistry.organizations })
+    setOrganizationMatch({ ...match, fileName })
+  }
+
+  // Pre-fill a new report from what the organization reported last time
+  const handleOrganizationConfirmed = async (confirmed) => {
+    setOrganization(confirmed)
+    setOrganizationMatch(null)
+    if (!confirmed.code) return
+
+    try {
+      const profile = await getProfile(confirmed.code)
+      const prefill = buildPrefill(profile, indicators, responses)
+      if (Object.keys(prefill.prefilled).length === 0) return
+
+      setResponses(applyCalculations(indicators, { ...responses, ...prefill.responses }, calculationContext(period)))
+      setPrefilled(prefill.prefilled)
+    } catch (error) {
+      console.error('Error loading organization profile:', error)
+    }
+  }
+
+  const confirmPrefilled = (fieldId) => {
+    const { [fieldId]: _CONFIRMED, ...remaining } = prefilled
+    setPrefilled(remaining)
+  }
+
+  const refreshDrafts = () => listDrafts()
+    .then(setDrafts)
+    .catch(error => console.error('Error loading drafts:', error))
+
+  const handleResumeDraft = (savedDraft) => {
+    try {
+      const restored = restoreDraft(savedDraft)
+      startReport({
+        ...restored,
+        draft: {
+          id: savedDraft.id,
+          name: savedDraft.name,
+          createdAt: savedDraft.createdAt,
+          updatedAt: savedDraft.updatedAt
+        }
+      })
+    } catch (error) {
+      console.error('Error restoring draft:', error)
+      alert('Error restoring draft: ' + error.message)
+    }
+  }
+
+  const handleDuplicateDraft = (savedDraft) => {
+    duplicateDraft(savedDraft.id)
+      .then(refreshDrafts)
+      .catch(error => alert('Error duplicating draft: ' + error.message))
+  }
+
+  const handleRenameDraft = (savedDraft) => {
+    const name = prompt('Draft name', savedDraft.name)
+    if (!name || name.trim() === '' || name === savedDraft.name) return
+    renameDraft(savedDraft.id, name.trim())
+      .then(refreshDrafts)
+      .catch(error => alert('Error renaming draft: ' + error.message))
+  }
+
+  const handleDeleteDraft = (savedDraft) => {
+    if (!confirm(`Delete the draft "${savedDraft.name}"? This cannot be undone.`)) return
+    deleteDraft(savedDraft.id)
+      .then(refreshDrafts)
+      .catch(error => alert('Error deleting draft: ' + error.message))
+  }
+
+  const closeReport = async () => {
+    if (pendingSaveRef.current) {
+      await pendingSaveRef.current()
+      pendingSaveRef.current = null
+    }
+    setCsvData(null)
+    setPeriod(null)
+    setIndicators([])
+    setResponses({})
+    setDraft(null)
+    setImportSummary(null)
+    setPreviousReport(null)
+    setBenchmarks(null)
+    setPrefilled({})
+    setEvidence({})
+    setReviewing(false)
+    setReviewed({})
+    setAttestation(emptyAttestation())
+    setSubmitted(null)
+    setWorkplanUpdate(null)
+    refreshDrafts()
+  }
+
   const handleFieldChange = (fieldId, value) => {
-    const newResponses = { ...responses, [fieldId]: value }
+    const newResponses = applyCalculations(indicators, { ...responses, [fieldId]: value }, calculationContext(period))
+    setResponses(newResponses)
+    setTouchedFields({ ...touchedFields, [fieldId]: true })
+    clearReviewed()
+    // Editing a pre-filled value counts as confirming it
+    if (prefilled[fieldId]) confirmPrefilled(fieldId)
+  }
+
+  // A changed answer needs another look before sign-off
+  const clearReviewed = () => {
+    const indicatorId = indicators[currentIndicator]?.id
+    if (reviewed[indicatorId]) setReviewed({ ...reviewed, [indicatorId]: false })
+  }
+
+  // A non-response reason replaces the field's value; clearing it lets the field be answered again
+  const handleNonResponseChange = (field, reason) => {
+    const changes = reason
+      ? { [field.id]: null, [otherResponseId(field)]: null, [nonResponseId(field)]: reason }
+      : { [nonResponseId(field)]: null }
+    const newResponses = applyCalculations(indicators, { ...responses, ...changes }, calculationContext(period))
     setResponses(newResponses)
-    
-    const completionScore = calculateCompletionScore(indicators, newResponses)
-    if (completionScore.percentage === 100) {
-      setIsComplete(true)
+    setTouchedFields({ ...touchedFields, [field.id]: true })
+    clearReviewed()
+    if (prefilled[field.id]) confirmPrefilled(field.id)
+  }
+
+  const handleSourceNoteChange = (indicatorId, sourceNote) => {
+    setEvidence(current => updateIndicatorEvidence(current, indicatorId, { sourceNote }))
+  }
+
+  const handleEvidenceUpload = async (indicatorId, event) => {
+    const files = Array.from(event.target.files)
+    const failed = []
+
+    for (const file of files) {
+      try {
+        const attachment = await addAttachment(draft.id, indicatorId, file)
+        setEvidence(current => updateIndicatorEvidence(current, indicatorId, {
+          attachments: [...(current[indicatorId]?.attachments || []), attachment]
+        }))
+      } catch (error) {
+        console.error(`Error attaching ${file.name}:`, error)
+        failed.push(`${file.name}: ${error.message}`)
+      }
+    }
+
+    if (failed.length > 0) {
+      alert('Some files could not be attached:\n' + failed.join('\n'))
+    }
+    event.target.value = ''
+  }
+
+  const openAttachment = async (attachment) => {
+    try {
+      const record = await getAttachment(attachment.id)
+      if (!record) throw new Error('This file is no longer stored in this browser')
+      downloadFile(record.data, attachment.name, attachment.type)
+    } catch (error) {
+      console.error('Error opening attachment:', error)
+      alert('Error opening attachment: ' + error.message)
     }
   }
 
-  const isFieldVisible = (field) => {
-    if (!field.dependsOn || !field.dependsOnValue) return true
-    return responses[field.dependsOn] === field.dependsOnValue
+  const handleRemoveAttachment = (indicatorId, attachment) => {
+    if (!confirm(`Remove ${attachment.name}?`)) return
+    setEvidence(current => updateIndicatorEvidence(current, indicatorId, {
+      attachments: (current[indicatorId]?.attachments || []).filter(other => other.id !== attachment.id)
+    }))
+    removeAttachment(attachment.id).catch(error => console.error('Error removing attachment:', error))
   }
 
+  // Period-dependent calculations (e.g. annualized turnover) are refreshed when the period changes
+  const handlePeriodConfirmed = (selectedPeriod) => {
+    setPeriod(selectedPeriod)
+    setEditingPeriod(false)
+    setResponses(applyCalculations(indicators, responses, calculationContext(selectedPeriod)))
+  }
+
+  const jumpToIssue = (issue) => {
+    setShowAllErrors(true)
+    if (!matchesIndicatorFilter(indicators[issue.indicatorIndex], indicatorFilter)) {
+      setIndicatorFilter({ tier: 'all', category: 'all' })
+    }
+    setCurrentIndicator(issue.indicatorIndex)
+    setFocusFieldId(issue.fieldId)
+  }
+
+  // Previous / Next step through the indicators matching the tier and category filter
+  const filteredIndexes = indicators
+    .map((indicator, index) => (matchesIndicatorFilter(indicator, indicatorFilter) ? index : null))
+    .filter(index => index !== null)
+  const nextIndex = filteredIndexes.find(index => index > currentIndicator)
+  const prevIndex = [...filteredIndexes].reverse().find(index => index < currentIndicator)
+
   const nextIndicator = () => {
-    if (currentIndicator < indicators.length - 1) {
-      setCurrentIndicator(currentIndicator + 1)
+    if (nextIndex !== undefined) {
+      setCurrentIndicator(nextIndex)
     }
   }
 
   const prevIndicator = () => {
-    if (currentIndicator > 0) {
-      setCurrentIndicator(currentIndicator - 1)
+    if (prevIndex !== undefined) {
+      setCurrentIndicator(prevIndex)
     }
   }
 
+  // Unsigned JSON export of a report still in progress; it can be re-opened and edited
   const generateReport = () => {
-    const reportData = {
-      organization: organization?.name || 'Unknown Organization',
-      submissionDate: new Date().toISOString(),
-      indicators: indicators.map(indicator => ({
-        ...indicator,
-        responses: indicator.fields.map(field => ({
-          ...field,
-          value: responses[field.id] || null
-        }))
-      })),
-      completionScore: calculateCompletionScore(indicators, responses)
+    if (!validateReport(indicators, responses).isValid) {
+      setShowAllErrors(true)
+      return
     }
-    
-    const blob = new Blob([JSON.stringify(reportData, null, 2)], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `${organization?.code || 'report'}-${new Date().toISOString().split('T')[0]}.json`
-    a.click()
+
+    const reportData = serializeReport({ organization, period, indicators, responses, comparison, benchmarks, evidence })
+    downloadFile(JSON.stringify(reportData, null, 2), reportFilename('json'), 'application/json')
+
+    // The generated report becomes the starting point for next period's profile
+    updateProfileFromReport({ organization, period, indicators, responses })
+      .catch(error => console.error('Error updating organization profile:', error))
+  }
+
+  // Sign, lock and download the report once every indicator is reviewed and signed off
+  const submitReport = async () => {
+    const blockers = submissionBlockers({ indicators, validation: validateReport(indicators, responses), reviewed, attestation })
+    if (blockers.length > 0) {
+      alert('Before submitting:\n' + blockers.join('\n'))
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const report = await createSubmittedReport({
+        organization,
+        period,
+        indicators,
+        responses,
+        comparison,
+        benchmarks,
+        evidence,
+        reviewed,
+        attestation
+      })
+      setSubmitted({ report })
+      downloadFile(JSON.stringify(report, null, 2), reportFilename('json'), 'application/json')
+
+      // The submitted report becomes the starting point for next period's profile
+      updateProfileFromReport({ organization, period, indicators, responses })
+        .catch(error => console.error('Error updating organization profile:', error))
+    } catch (error) {
+      console.error('Error submitting report:', error)
+      alert('Error submitting report: ' + error.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const downloadSubmittedReport = () => {
+    downloadFile(JSON.stringify(submitted.report, null, 2), reportFilename('json'), 'application/json')
+  }
+
+  const reopenReport = () => {
+    if (!confirm('Reopen this report for editing? Files already exported stay valid, but any change needs a new submission.')) return
+    setSubmitted(null)
+    setReviewing(false)
+  }
+
+  const reportFilename = (extension) => (
+    `${organization?.code || 'report'}-${periodSlug(period) || new Date().toISOString().split('T')[0]}.${extension}`
+  )
+
+  const exportResponseTable = (excel) => {
+    if (!validateReport(indicators, responses).isValid) {
+      setShowAllErrors(true)
+      return
+    }
+
+    const csv = toResponseCsv(
+      { organization, period, indicators, responses },
+      { checkboxMode: checkboxExportMode, excel }
+    )
+    downloadFile(
+      csv,
+      excel ? reportFilename('excel.csv') : reportFilename('csv'),
+      'text/csv;charset=utf-8'
+    )
+  }
+
+  const downloadPdf = async () => {
+    if (!validateReport(indicators, responses).isValid) {
+      setShowAllErrors(true)
+      return
+    }
+
+    try {
+      // jsPDF is only needed at export time, so keep it out of the main bundle
+      const { buildPdfReport } = await import('./utils/pdfReport')
+      const doc = buildPdfReport({
+        organization,
+        period,
+        indicators,
+        responses,
+        comparison,
+        benchmarks,
+        evidence,
+        submission: submitted?.report.submission || null
+      })
+      doc.save(reportFilename('pdf'))
+    } catch (error) {
+      console.error('Error generating PDF:', error)
+      alert('Error generating PDF report: ' + error.message)
+    }
+  }
+
+  // The JSON report, evidence files and a manifest in one ZIP
+  const downloadPackage = async () => {
+    if (!validateReport(indicators, responses).isValid) {
+      setShowAllErrors(true)
+      return
+    }
+
+    try {
+      const { buildReportPackage } = await import('./utils/reportPackage')
+      // A submitted report is packaged exactly as signed
+      const report = submitted?.report ||
+        serializeReport({ organization, period, indicators, responses, comparison, benchmarks, evidence })
+      const { files, missing } = await readEvidenceFiles(evidence)
+      if (missing.length > 0 &&
+        !confirm(`${missing.length} attached ${missing.length === 1 ? 'file is' : 'files are'} no longer stored in this browser and will be left out. Continue?`)) {
+        return
+      }
+      const archive = buildReportPackage({ report, files, missing })
+      downloadFile(new Blob([archive], { type: 'application/zip' }), reportFilename('zip'))
+    } catch (error) {
+      console.error('Error building report package:', error)
+      alert('Error building report package: ' + error.message)
+    }
+  }
+
+  if (networkReports) {
+    return (
+      <NetworkDashboard
+        reports={networkReports}
+        onAddReports={handleNetworkReportUpload}
+        onRemoveReport={(index) => setNetworkReports(networkReports.filter((_, i) => i !== index))}
+        onExportBenchmarks={exportBenchmarks}
+        onClose={() => setNetworkReports(null)}
+      />
+    )
+  }
+
+  if (reviewing && indicators.length > 0) {
+    return (
+      <ReviewScreen
+        organization={organization}
+        period={period}
+        indicators={indicators}
+        responses={responses}
+        validation={validateReport(indicators, responses)}
+        dataQuality={calculateDataQuality(indicators, responses)}
+        reviewed={reviewed}
+        attestation={attestation}
+        submitted={submitted}
+        submitting={submitting}
+        onToggleReviewed={(indicatorId) => setReviewed({ ...reviewed, [indicatorId]: !reviewed[indicatorId] })}
+        onAttestationChange={(changes) => setAttestation({ ...attestation, ...changes })}
+        onEditIndicator={(index) => {
+          setReviewing(false)
+          setIndicatorFilter({ tier: 'all', category: 'all' })
+          setCurrentIndicator(index)
+        }}
+        onBack={() => setReviewing(false)}
+        onSubmit={submitReport}
+        onDownloadSubmitted={downloadSubmittedReport}
+        onDownloadPdf={downloadPdf}
+        onDownloadPackage={downloadPackage}
+        onReopen={reopenReport}
+        onClose={closeReport}
+      />
+    )
+  }
+
+  if (importReview) {
+    return (
+      <ImportReview
+        fileName={importReview.fileName}
+        data={importReview.data}
+        parseErrors={importReview.parseErrors}
+        onContinue={handleImportReviewed}
+        onCancel={() => setImportReview(null)}
+      />
+    )
   }
 
   if (!csvData) {
@@ -136,7 +926,7 @@ function App() {
               </p>
               <input
                 type="file"
-                accept=".csv"
+                accept=".csv,.json,text/csv,application/json"
                 onChange={handleFileUpload}
                 className="hidden"
                 id="csv-upload"
@@ -147,9 +937,50 @@ function App() {
               >
                 Choose CSV File
               </label>
+              <p className="text-xs text-gray-500 mt-3">
+                Indicator definition files (.json) are also accepted
+              </p>
+            </div>
+
+            <div className="mt-8 pt-6 border-t border-gray-200 text-center">
+              <h3 className="font-semibold text-gray-900 mb-1">Open existing report</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Resume or amend a report previously exported from this portal (.json)
+              </p>
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={handleReportUpload}
+                className="hidden"
+                id="report-upload"
+              />
+              <label
+                htmlFor="report-upload"
+                className="btn-secondary cursor-pointer inline-block"
+              >
+                Open Report
+              </label>
+            </div>
+
+            <div className="mt-8 pt-6 border-t border-gray-200 text-center">
+              <h3 className="font-semibold text-gray-900 mb-1">Network dashboard</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Compare exported reports from several member organizations side by side
+              </p>
+              <button onClick={() => setNetworkReports([])} className="btn-secondary">
+                Open Dashboard
+              </button>
             </div>
           </div>
 
+          <DraftList
+            drafts={drafts}
+            onResume={handleResumeDraft}
+            onDuplicate={handleDuplicateDraft}
+            onRename={handleRenameDraft}
+            onDelete={handleDeleteDraft}
+          />
+
           <div className="mt-8 bg-blue-50 rounded-lg p-6">
             <h3 className="font-semibold text-blue-900 mb-2">What makes this different?</h3>
             <ul className="space-y-2 text-blue-800">
@@ -178,8 +1009,46 @@ function App() {
     )
   }
 
+  if (organizationMatch) {
+    return (
+      <OrganizationConfirm
+        key={`${registry.fileName}-${organizationMatch.organization?.code}`}
+        match={organizationMatch}
+        registry={registry}
+        onConfirm={handleOrganizationConfirmed}
+        onLoadRegistry={handleRegistryUpload}
+        onResetRegistry={handleResetRegistry}
+      />
+    )
+  }
+
+  // The reporting period is chosen before data entry
+  if (!period || editingPeriod) {
+    return (
+      <PeriodSelector
+        organization={organization}
+        initialPeriod={period}
+        onConfirm={handlePeriodConfirmed}
+        onCancel={period ? () => setEditingPeriod(false) : null}
+      />
+    )
+  }
+
   const currentIndicatorData = indicators[currentIndicator]
+  const consistencyResults = currentIndicatorData
+    ? checkIndicatorConsistency(currentIndicatorData, responses)
+    : []
   const completionScore = calculateCompletionScore(indicators, responses)
+  const dataQuality = calculateDataQuality(indicators, responses)
+  const indicatorQuality = dataQuality.indicators[currentIndicator]
+  const validation = validateReport(indicators, responses)
+  const previousLabel = previousReport?.report.period?.label || 'previous report'
+  const addedIndicators = comparison?.indicators.filter(entry => entry.status === ComparisonStatus.ADDED) || []
+  const isNewIndicator = addedIndicators.some(entry => entry.indicatorId === currentIndicatorData?.id)
+  const prefilledCount = Object.keys(prefilled).length
+  const visibleErrors = (fieldId) => (
+    showAllErrors || touchedFields[fieldId] ? validation.fieldErrors[fieldId] || [] : []
+  )
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -192,14 +1061,88 @@ function App() {
                 YWC Reporting Portal
               </h1>
               <p className="text-gray-600">
-                {organization?.name || 'Organization'} • {indicators.length} indicators
+                {organization?.name || 'Organization'} • {period.label} • {indicators.length} indicators
+                <button onClick={() => setEditingPeriod(true)} className="ml-2 text-sm text-blue-600 hover:underline">
+                  Change period
+                </button>
+              </p>
+              <p className="text-sm text-gray-600 mt-1">
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handlePreviousReportUpload}
+                  className="hidden"
+                  id="previous-report-upload"
+                />
+                {previousReport ? (
+                  <>
+                    Comparing with {previousLabel} ({previousReport.fileName})
+                    <button onClick={() => setPreviousReport(null)} className="ml-2 text-blue-600 hover:underline">
+                      Remove
+                    </button>
+                  </>
+                ) : (
+                  <label htmlFor="previous-report-upload" className="text-blue-600 cursor-pointer hover:underline">
+                    Compare with a previous period's report
+                  </label>
+                )}
+                <span className="mx-2 text-gray-300">|</span>
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleBenchmarkUpload}
+                  className="hidden"
+                  id="benchmark-upload"
+                />
+                {benchmarks ? (
+                  <>
+                    Peer benchmarks: {benchmarks.fileName || 'loaded'}
+                    <button onClick={() => setBenchmarks(null)} className="ml-2 text-blue-600 hover:underline">
+                      Remove
+                    </button>
+                  </>
+                ) : (
+                  <label htmlFor="benchmark-upload" className="text-blue-600 cursor-pointer hover:underline">
+                    Load peer benchmarks
+                  </label>
+                )}
+              </p>
+              <p className="text-xs mt-1">
+                {saveError ? (
+                  <span className="text-red-600">Draft not saved: {saveError}</span>
+                ) : (
+                  <span className="text-gray-400">
+                    {lastSavedAt ? `Draft saved ${format(new Date(lastSavedAt), 'h:mm:ss a')}` : 'Draft not saved yet'}
+                  </span>
+                )}
+                <button onClick={closeReport} className="ml-3 text-blue-600 hover:underline">
+                  Save &amp; close
+                </button>
+                <input
+                  type="file"
+                  accept=".csv"
+                  onChange={handleWorkplanUpdateUpload}
+                  className="hidden"
+                  id="workplan-update-upload"
+                />
+                <label htmlFor="workplan-update-upload" className="ml-3 text-blue-600 cursor-pointer hover:underline">
+                  Update workplan
+                </label>
               </p>
             </div>
-            <div className="text-right">
-              <div className="text-2xl font-bold text-blue-600">
-                {Math.round(completionScore.percentage)}%
+            <div className="flex gap-6 text-right">
+              <div>
+                <div className="text-2xl font-bold text-blue-600">
+                  {Math.round(completionScore.percentage)}%
+                </div>
+                <div className="text-sm text-gray-500">Complete</div>
+              </div>
+              <div title={`Completeness ${dataQuality.completeness}% • Standardization ${dataQuality.standardization}%`}>
+                <div className="text-2xl font-bold text-gray-700">
+                  {dataQuality.overallScore}%
+                </div>
+                <div className="text-sm text-gray-500">Data quality</div>
               </div>
-              <div className="text-sm text-gray-500">Complete</div>
             </div>
           </div>
 
@@ -212,15 +1155,282 @@ function App() {
           </div>
 
           <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
-            <span>{completionScore.completed} of {completionScore.total} fields completed</span>
-            {isComplete && (
-              <button onClick={generateReport} className="btn-primary text-sm">
+            <span>
+              {completionScore.completed} of {completionScore.total} fields completed
+              {validation.errorCount > 0 && (
+                <button
+                  onClick={() => setShowAllErrors(!showAllErrors)}
+                  className="ml-3 text-red-600 font-medium hover:underline"
+                >
+                  {validation.errorCount} {validation.errorCount === 1 ? 'error' : 'errors'}
+                </button>
+              )}
+              {validation.warningCount > 0 && (
+                <span className="ml-3 text-amber-600 font-medium">
+                  {validation.warningCount} {validation.warningCount === 1 ? 'warning' : 'warnings'}
+                </span>
+              )}
+              {prefilledCount > 0 && (
+                <span className="ml-3 text-amber-700">
+                  {prefilledCount} pre-filled {prefilledCount === 1 ? 'value' : 'values'} to check
+                  <button onClick={() => setPrefilled({})} className="ml-1 font-medium hover:underline">
+                    Confirm all
+                  </button>
+                </span>
+              )}
+            </span>
+            <div className="flex gap-2">
+              <select
+                value={checkboxExportMode}
+                onChange={(e) => setCheckboxExportMode(e.target.value)}
+                className="text-sm border border-gray-300 rounded-lg px-2"
+                title="How checkbox answers appear in CSV/Excel exports"
+              >
+                <option value={CheckboxExportModes.JOINED}>Checkboxes: joined labels</option>
+                <option value={CheckboxExportModes.COLUMNS}>Checkboxes: one column per option</option>
+              </select>
+              <button
+                onClick={() => exportResponseTable(false)}
+                disabled={!validation.isValid}
+                className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                CSV
+              </button>
+              <button
+                onClick={() => exportResponseTable(true)}
+                disabled={!validation.isValid}
+                className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Excel
+              </button>
+              <button
+                onClick={downloadPdf}
+                disabled={!validation.isValid}
+                className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                title={validation.isValid ? undefined : 'Resolve all errors before generating the report'}
+              >
+                Download PDF
+              </button>
+              <button
+                onClick={downloadPackage}
+                disabled={!validation.isValid}
+                className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                title={validation.isValid ? 'Report, evidence files and manifest in one ZIP' : 'Resolve all errors before generating the report'}
+              >
+                Package (ZIP)
+              </button>
+              <button
+                onClick={generateReport}
+                disabled={!validation.isValid}
+                className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                title={validation.isValid ? 'Unsigned JSON report that can be re-opened and edited' : 'Resolve all errors before generating the report'}
+              >
                 Generate Report
               </button>
-            )}
+              <button
+                onClick={() => setReviewing(true)}
+                disabled={!validation.isValid}
+                className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                title={validation.isValid ? 'Check every indicator and sign off before submitting' : 'Resolve all errors before submitting the report'}
+              >
+                Review &amp; Submit
+              </button>
+            </div>
           </div>
+
+          {/* Jump-to-error list */}
+          {showAllErrors && validation.errorCount > 0 && (
+            <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-4">
+              <h3 className="text-sm font-semibold text-red-800 mb-2">
+                Resolve these issues before generating the report
+              </h3>
+              <ul className="space-y-1 text-sm">
+                {validation.issues.slice(0, 10).map((issue) => (
+                  <li key={issue.id}>
+                    <button
+                      onClick={() => jumpToIssue(issue)}
+                      className="text-left text-red-700 hover:underline"
+                    >
+                      {issue.indicatorTitle} — {issue.fieldLabel}: {issue.message}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {validation.issues.length > 10 && (
+                <p className="text-sm text-red-700 mt-2">
+                  …and {validation.issues.length - 10} more
+                </p>
+              )}
+            </div>
+          )}
         </div>
 
+        {/* Re-opened report summary */}
+        {importSummary && (
+          <div className="bg-white rounded-xl border border-blue-200 p-6 mb-6">
+            <div className="flex justify-between items-start">
+              <div>
+                <h2 className="font-semibold text-gray-900">Opened {importSummary.fileName}</h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  {importSummary.restoredCount} {importSummary.restoredCount === 1 ? 'answer' : 'answers'} restored
+                </p>
+                {importSummary.submission && (
+                  <p className={`text-sm mt-1 ${importSummary.integrity === IntegrityStatus.MODIFIED ? 'text-red-700 font-medium' : 'text-gray-600'}`}>
+                    Submitted {importSummary.submission.submittedAt && format(new Date(importSummary.submission.submittedAt), 'MMMM d, yyyy')}
+                    {importSummary.submission.preparer?.name && ` by ${importSummary.submission.preparer.name}`}
+                    {importSummary.integrity === IntegrityStatus.VALID && ' • unchanged since submission'}
+                    {importSummary.integrity === IntegrityStatus.MODIFIED && ' • this file was edited after it was submitted'}
+                    {importSummary.integrity === IntegrityStatus.UNSIGNED && ' • no content hash to check'}
+                    . Changes you make here need a new submission.
+                  </p>
+                )}
+              </div>
+              <button onClick={() => setImportSummary(null)} className="text-sm text-gray-500 hover:underline">
+                Dismiss
+              </button>
+            </div>
+
+            {importSummary.removedFields.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-amber-800">
+                  Fields that no longer exist (answers not restored)
+                </h3>
+                <ul className="mt-1 text-sm text-amber-700 list-disc list-inside">
+                  {importSummary.removedFields.map((field) => (
+                    <li key={field.fieldId}>
+                      {field.indicatorTitle} — {field.label}: {Array.isArray(field.value) ? field.value.join(', ') : String(field.value)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {importSummary.changedFields.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-amber-800">
+                  Fields whose type changed (please re-enter)
+                </h3>
+                <ul className="mt-1 text-sm text-amber-700 list-disc list-inside">
+                  {importSummary.changedFields.map((field) => (
+                    <li key={field.fieldId}>
+                      {field.indicatorTitle} — {field.label}: was {field.previousType}, now {field.type}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {importSummary.newFields.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-blue-800">New fields to complete</h3>
+                <ul className="mt-1 text-sm text-blue-700 list-disc list-inside">
+                  {importSummary.newFields.map((field) => (
+                    <li key={field.fieldId}>{field.indicatorTitle} — {field.label}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Revised workplan summary */}
+        {workplanUpdate && (
+          <div className="bg-white rounded-xl border border-blue-200 p-6 mb-6">
+            <div className="flex justify-between items-start">
+              <div>
+                <h2 className="font-semibold text-gray-900">Updated workplan from {workplanUpdate.fileName}</h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  {workplanUpdate.reattachedCount} {workplanUpdate.reattachedCount === 1 ? 'answer' : 'answers'} kept
+                  {workplanUpdate.droppedCount > 0 && ` • ${workplanUpdate.droppedCount} discarded with removed or changed fields`}
+                </p>
+              </div>
+              <button onClick={() => setWorkplanUpdate(null)} className="text-sm text-gray-500 hover:underline">
+                Dismiss
+              </button>
+            </div>
+
+            {workplanUpdate.renamed.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-gray-800">Renamed indicators (answers kept)</h3>
+                <ul className="mt-1 text-sm text-gray-700 list-disc list-inside">
+                  {workplanUpdate.renamed.map((entry) => (
+                    <li key={entry.id}>{entry.previousTitle} → {entry.title}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {workplanUpdate.removed.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-amber-800">Indicators no longer in the workplan</h3>
+                <ul className="mt-1 text-sm text-amber-700 list-disc list-inside">
+                  {workplanUpdate.removed.map((entry) => (
+                    <li key={entry.id}>{entry.title}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {workplanUpdate.added.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-blue-800">New indicators to complete</h3>
+                <ul className="mt-1 text-sm text-blue-700 list-disc list-inside">
+                  {workplanUpdate.added.map((entry) => (
+                    <li key={entry.id}>{entry.title}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Indicators added or removed since the previous period */}
+        {comparison && (addedIndicators.length > 0 || comparison.removed.length > 0) && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6 mb-6">
+            <h2 className="font-semibold text-gray-900">Changes since {previousLabel}</h2>
+            {addedIndicators.length > 0 && (
+              <div className="mt-3">
+                <h3 className="text-sm font-semibold text-blue-800">New indicators (no previous values)</h3>
+                <ul className="mt-1 text-sm text-blue-700 list-disc list-inside">
+                  {addedIndicators.map((entry) => (
+                    <li key={entry.indicatorId}>{entry.title}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {comparison.removed.length > 0 && (
+              <div className="mt-3">
+                <h3 className="text-sm font-semibold text-amber-800">Indicators no longer in the workplan</h3>
+                <ul className="mt-1 text-sm text-amber-700 list-disc list-inside">
+                  {comparison.removed.map((entry) => (
+                    <li key={entry.indicatorId}>
+                      {entry.title}
+                      {entry.fields.some(field => field.previousDisplay != null) && (
+                        <span className="text-amber-600">
+                          {' '}— {entry.fields
+                            .filter(field => field.previousDisplay != null)
+                            .map(field => `${field.label}: ${field.previousDisplay}`)
+                            .join('; ')}
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {indicators.length > 1 && (
+          <IndicatorNavigator
+            indicators={indicators}
+            currentIndex={currentIndicator}
+            filter={indicatorFilter}
+            onFilterChange={setIndicatorFilter}
+            onSelect={setCurrentIndicator}
+          />
+        )}
+
         {/* Current Indicator */}
         {currentIndicatorData && (
           <div className="bg-white rounded-xl border border-gray-200 p-6">
@@ -232,10 +1442,32 @@ function App() {
                 <p className="text-gray-600 mt-1">
                   Indicator {currentIndicator + 1} of {indicators.length}
                 </p>
+                {describeIndicatorMetadata(currentIndicatorData).length > 0 && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    {describeIndicatorMetadata(currentIndicatorData).join(' • ')}
+                  </p>
+                )}
+                {indicatorQuality && indicatorQuality.totalFields > 0 && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    Data quality {indicatorQuality.overallScore}%
+                    {' '}(completeness {indicatorQuality.completeness}%, standardization {indicatorQuality.standardization}%)
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                {isNewIndicator && (
+                  <span className="badge badge-pending">New this period</span>
+                )}
+                <span
+                  className={`badge badge-tier${currentIndicatorData.tier}`}
+                  title={currentIndicatorData.tierSource === TierSources.EXPLICIT
+                    ? 'Tier set in the workplan'
+                    : 'Tier estimated from the indicator text'}
+                >
+                  Tier {currentIndicatorData.tier}
+                  {currentIndicatorData.tierSource !== TierSources.EXPLICIT && ' (estimated)'}
+                </span>
               </div>
-              <span className={`badge badge-${currentIndicatorData.tier}`}>
-                Tier {currentIndicatorData.tier}
-              </span>
             </div>
 
             {currentIndicatorData.description && (
@@ -246,145 +1478,98 @@ function App() {
 
             {/* Fields */}
             <div className="space-y-6">
-              {currentIndicatorData.fields.filter(isFieldVisible).map((field) => (
-                <div key={field.id} className="form-group">
-                  <label className="form-label">
-                    {field.label}
-                    {field.required && <span className="text-red-500 ml-1">*</span>}
-                  </label>
-                  
-                  {field.description && (
-                    <p className="text-sm text-gray-600 mt-1 mb-3">{field.description}</p>
-                  )}
-
-                  {field.type === 'number' && (
-                    <input
-                      type="number"
-                      className="form-input"
-                      value={responses[field.id] || ''}
-                      onChange={(e) => handleFieldChange(field.id, Number(e.target.value))}
-                      placeholder={`Enter ${field.label.toLowerCase()}`}
-                    />
-                  )}
-
-                  {field.type === 'currency' && (
-                    <div className="relative">
-                      <span className="absolute left-3 top-3 text-gray-500">$</span>
-                      <input
-                        type="number"
-                        className="form-input pl-8"
-                        value={responses[field.id] || ''}
-                        onChange={(e) => handleFieldChange(field.id, Number(e.target.value))}
-                        placeholder="0.00"
-                      />
-                    </div>
-                  )}
-
-                  {field.type === 'percentage' && (
-                    <div className="relative">
-                      <input
-                        type="number"
-                        className="form-input pr-8"
-                        value={responses[field.id] || ''}
-                        onChange={(e) => handleFieldChange(field.id, Number(e.target.value))}
-                        min="0"
-                        max="100"
-                        placeholder="0"
-                      />
-                      <span className="absolute right-3 top-3 text-gray-500">%</span>
-                    </div>
-                  )}
-
-                  {field.type === 'radio' && (
-                    <div className="space-y-2">
-                      {field.options.map((option) => (
-                        <label key={option.value} className="flex items-center">
-                          <input
-                            type="radio"
-                            name={field.id}
-                            value={option.value}
-                            checked={responses[field.id] === option.value}
-                            onChange={(e) => handleFieldChange(field.id, e.target.value)}
-                            className="form-radio text-blue-600"
-                          />
-                          <span className="ml-2">{option.label}</span>
-                        </label>
-                      ))}
-                    </div>
-                  )}
-
-                  {field.type === 'scale' && (
-                    <div className="space-y-2">
-                      {field.options.map((option) => (
-                        <label key={option.value} className="flex items-center">
-                          <input
-                            type="radio"
-                            name={field.id}
-                            value={option.value}
-                            checked={responses[field.id] === option.value}
-                            onChange={(e) => handleFieldChange(field.id, Number(e.target.value))}
-                            className="form-radio text-blue-600"
-                          />
-                          <span className="ml-2">{option.label}</span>
-                        </label>
-                      ))}
-                    </div>
-                  )}
-
-                  {field.type === 'checkbox' && (
-                    <div className="space-y-3">
-                      {field.options.map((option) => (
-                        <label key={option.value} className="flex items-start">
-                          <input
-                            type="checkbox"
-                            checked={(responses[field.id] || []).includes(option.value)}
-                            onChange={(e) => {
-                              const currentValues = responses[field.id] || []
-                              const newValues = e.target.checked
-                                ? [...currentValues, option.value]
-                                : currentValues.filter(v => v !== option.value)
-                              handleFieldChange(field.id, newValues)
-                            }}
-                            className="form-checkbox text-blue-600 mt-1"
-                          />
-                          <span className="ml-3">{option.label}</span>
-                        </label>
-                      ))}
-                    </div>
-                  )}
-
-                  {field.type === 'calculated' && (
-                    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                      <div className="text-lg font-semibold text-blue-900">
-                        {responses[field.id] || 'Calculating...'}
-                        {field.unit && ` ${field.unit}`}
-                      </div>
-                      <p className="text-sm text-blue-700 mt-1">
-                        Automatically calculated based on your inputs
-                      </p>
-                    </div>
-                  )}
-                </div>
+              {currentIndicatorData.fields.filter(field => isFieldVisible(field, responses)).map((field) => (
+                <FieldRenderer
+                  key={field.id}
+                  field={field}
+                  value={responses[field.id]}
+                  otherValue={responses[otherResponseId(field)]}
+                  errors={visibleErrors(field.id)}
+                  comparison={getFieldComparison(comparison, currentIndicatorData.id, field.id)}
+                  comparisonLabel={previousLabel}
+                  benchmark={findBenchmark(benchmarks, currentIndicatorData, field)}
+                  prefill={prefilled[field.id]}
+                  nonResponse={getNonResponseReason(field, responses)}
+                  onConfirmPrefill={() => confirmPrefilled(field.id)}
+                  onChange={(value) => handleFieldChange(field.id, value)}
+                  onOtherChange={(text) => handleFieldChange(otherResponseId(field), text)}
+                  onNonResponseChange={(reason) => handleNonResponseChange(field, reason)}
+                />
               ))}
             </div>
 
+            <EvidencePanel
+              key={currentIndicatorData.id}
+              indicatorId={currentIndicatorData.id}
+              evidence={evidence[currentIndicatorData.id]}
+              onNoteChange={(note) => handleSourceNoteChange(currentIndicatorData.id, note)}
+              onAddFiles={(event) => handleEvidenceUpload(currentIndicatorData.id, event)}
+              onOpenFile={openAttachment}
+              onRemoveFile={(attachment) => handleRemoveAttachment(currentIndicatorData.id, attachment)}
+            />
+
+            {/* Answers that lower data quality */}
+            {indicatorQuality?.flags.length > 0 && (
+              <div className="mt-6 rounded-lg border border-amber-200 bg-amber-50 p-4">
+                <p className="text-sm font-semibold text-amber-800">Answers that lower data quality</p>
+                <ul className="mt-1 text-sm text-amber-700 list-disc list-inside">
+                  {indicatorQuality.flags.map((flag) => (
+                    <li key={flag.fieldId}>
+                      {flag.label}: {QualityFlagLabels[flag.flag]}
+                      {flag.otherText && ` ("${flag.otherText}")`}
+                    </li>
+                  ))}
+                </ul>
+                <p className="text-xs text-amber-700 mt-2">
+                  Choose a listed option where one fits. Free-text answers cannot be compared across organizations.
+                </p>
+              </div>
+            )}
+
+            {/* Cross-field consistency checks */}
+            {consistencyResults.length > 0 && (
+              <div className="mt-6 space-y-3">
+                {consistencyResults.map((result) => {
+                  const isError = result.severity === RuleSeverity.ERROR
+                  return (
+                    <div
+                      key={result.key}
+                      className={`rounded-lg border p-4 ${isError ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}
+                    >
+                      <p className={`text-sm font-semibold ${isError ? 'text-red-800' : 'text-amber-800'}`}>
+                        {isError ? 'Error' : 'Warning'}: {result.message}
+                      </p>
+                      {result.explanation && (
+                        <p className={`text-sm mt-1 ${isError ? 'text-red-700' : 'text-amber-700'}`}>
+                          {result.explanation}
+                        </p>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+
             {/* Navigation */}
             <div className="flex justify-between mt-8 pt-6 border-t border-gray-200">
               <button
                 onClick={prevIndicator}
-                disabled={currentIndicator === 0}
+                disabled={prevIndex === undefined}
                 className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 ← Previous
               </button>
               
               <div className="text-sm text-gray-500">
-                {currentIndicator + 1} / {indicators.length}
+                {filteredIndexes.includes(currentIndicator)
+                  ? `${filteredIndexes.indexOf(currentIndicator) + 1} / ${filteredIndexes.length}`
+                  : `${filteredIndexes.length} matching`}
+                {filteredIndexes.length < indicators.length && ' (filtered)'}
               </div>
               
               <button
                 onClick={nextIndicator}
-                disabled={currentIndicator === indicators.length - 1}
+                disabled={nextIndex === undefined}
                 className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Next →
@@ -0,0 +1,42 @@
+import React from 'react'
+import { benchmarkPosition, formatBenchmarkValue } from '../utils/benchmarks'
+
+// Horizontal band: 10th–90th percentile light, middle half darker, median line, own value marker
+function BenchmarkBand({ benchmark, value }) {
+  const position = benchmarkPosition(benchmark, value)
+  const number = position ? Number(value) : null
+
+  const low = Math.min(benchmark.p10, number ?? benchmark.p10)
+  const high = Math.max(benchmark.p90, number ?? benchmark.p90)
+  const padding = (high - low) * 0.05 || 1
+  const scaleMin = low - padding
+  const scaleMax = high + padding
+  const at = (v) => `${((v - scaleMin) / (scaleMax - scaleMin)) * 100}%`
+  const span = (from, to) => ({ left: at(from), width: `calc(${at(to)} - ${at(from)})` })
+  const show = (v) => formatBenchmarkValue(benchmark, v)
+
+  return (
+    <div className="mt-2 rounded-lg bg-gray-50 p-3">
+      <div className="relative h-3 rounded bg-gray-200">
+        <div className="absolute h-3 rounded bg-blue-100" style={span(benchmark.p10, benchmark.p90)} />
+        <div className="absolute h-3 bg-blue-300" style={span(benchmark.p25, benchmark.p75)} />
+        <div className="absolute h-3 w-0.5 bg-blue-700" style={{ left: at(benchmark.p50) }} />
+        {position && (
+          <div
+            className="absolute -top-1 h-5 w-1.5 rounded bg-amber-500"
+            style={{ left: `calc(${at(number)} - 3px)` }}
+            title={`Your value: ${show(number)}`}
+          />
+        )}
+      </div>
+      <p className="text-xs text-gray-600 mt-2">
+        Peers ({benchmark.count} organizations): median {show(benchmark.p50)}, middle half {show(benchmark.p25)} – {show(benchmark.p75)}
+        {position && (
+          <span className="ml-2 font-medium text-amber-700">Your value: {position.label}</span>
+        )}
+      </p>
+    </div>
+  )
+}
+
+export default BenchmarkBand
@@ -0,0 +1,65 @@
+import React from 'react'
+import { formatDistanceToNow, format } from 'date-fns'
+
+function DraftList({ drafts, onResume, onDuplicate, onRename, onDelete }) {
+  if (!drafts || drafts.length === 0) return null
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-8 mt-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Saved drafts</h2>
+      <p className="text-gray-600 mb-6 text-sm">
+        Drafts are saved automatically in this browser as you work. Nothing is sent to a server.
+      </p>
+
+      <ul className="divide-y divide-gray-200">
+        {drafts.map((draft, index) => (
+          <li key={draft.id} className="py-4 flex justify-between items-center gap-4">
+            <div className="min-w-0">
+              <div className="font-medium text-gray-900 truncate">
+                {draft.name}
+                {index === 0 && (
+                  <span className="badge badge-pending ml-2">Most recent</span>
+                )}
+                {draft.submitted && (
+                  <span className="badge badge-completed ml-2">Submitted</span>
+                )}
+              </div>
+              <div className="text-sm text-gray-500">
+                {draft.organizationCode || 'ORG'}
+                {draft.periodLabel && ` • ${draft.periodLabel}`}
+                {' • '}
+                {draft.report?.completionScore?.percentage ?? 0}% complete
+              </div>
+              <div
+                className="text-xs text-gray-400"
+                title={format(new Date(draft.updatedAt), 'PPpp')}
+              >
+                Last saved {formatDistanceToNow(new Date(draft.updatedAt), { addSuffix: true })}
+              </div>
+            </div>
+
+            <div className="flex gap-2 shrink-0 text-sm">
+              <button onClick={() => onResume(draft)} className="btn-primary text-sm">
+                Resume
+              </button>
+              <button onClick={() => onDuplicate(draft)} className="btn-secondary text-sm">
+                Duplicate
+              </button>
+              <button onClick={() => onRename(draft)} className="btn-secondary text-sm">
+                Rename
+              </button>
+              <button
+                onClick={() => onDelete(draft)}
+                className="px-3 py-2 rounded-lg text-red-600 hover:bg-red-50"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default DraftList
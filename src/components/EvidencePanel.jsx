@@ -0,0 +1,59 @@
+import React from 'react'
+import { formatFileSize, MAX_ATTACHMENT_SIZE } from '../utils/evidence'
+
+// Source note and attached files backing one indicator
+function EvidencePanel({ indicatorId, evidence, onNoteChange, onAddFiles, onOpenFile, onRemoveFile }) {
+  const { sourceNote = '', attachments = [] } = evidence || {}
+  const inputId = `evidence-upload-${indicatorId}`
+
+  return (
+    <div className="mt-6 rounded-lg border border-gray-200 p-4">
+      <h3 className="text-sm font-semibold text-gray-900">Evidence</h3>
+      <p className="form-help mt-0">
+        Where the figures come from, e.g. board minutes, audited statements or a benefits policy.
+      </p>
+
+      <textarea
+        value={sourceNote}
+        onChange={(e) => onNoteChange(e.target.value)}
+        placeholder="Source note (e.g. Board minutes, March 12 meeting)"
+        rows={2}
+        className="form-input mt-2"
+      />
+
+      {attachments.length > 0 && (
+        <ul className="mt-3 divide-y divide-gray-100 text-sm">
+          {attachments.map((attachment) => (
+            <li key={attachment.id} className="py-1.5 flex justify-between items-center gap-4">
+              <button onClick={() => onOpenFile(attachment)} className="text-blue-600 hover:underline truncate">
+                {attachment.name}
+              </button>
+              <span className="shrink-0 text-gray-500">
+                {formatFileSize(attachment.size)}
+                <button onClick={() => onRemoveFile(attachment)} className="ml-3 text-red-600 hover:underline">
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        type="file"
+        multiple
+        onChange={onAddFiles}
+        className="hidden"
+        id={inputId}
+      />
+      <label htmlFor={inputId} className="btn-secondary text-sm cursor-pointer inline-block mt-3">
+        Attach files
+      </label>
+      <span className="ml-3 text-xs text-gray-500">
+        Up to {formatFileSize(MAX_ATTACHMENT_SIZE)} each, stored only in this browser
+      </span>
+    </div>
+  )
+}
+
+export default EvidencePanel
@@ -0,0 +1,102 @@
+import React from 'react'
+import { getFieldRenderer } from './fields/fieldRegistry'
+import { OtherSpecifyInput } from './fields/FieldInputs'
+import { hasOtherSelected, isCalculatedField, NonResponseLabels } from '../utils/dataEngine'
+import { formatChange } from '../utils/periodComparison'
+import BenchmarkBand from './BenchmarkBand'
+
+function FieldRenderer({
+  field,
+  value,
+  otherValue,
+  errors = [],
+  comparison = null,
+  comparisonLabel = 'previous period',
+  benchmark = null,
+  prefill = null,
+  nonResponse = null,
+  onConfirmPrefill,
+  onChange,
+  onOtherChange,
+  onNonResponseChange
+}) {
+  const Input = getFieldRenderer(field.type)
+  const change = formatChange(comparison?.change)
+  const canDecline = onNonResponseChange && !isCalculatedField(field)
+
+  return (
+    <div id={`field-${field.id}`} className="form-group">
+      <label className="form-label">
+        {field.label}
+        {field.required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      {prefill && (
+        <p className="form-help text-amber-700 bg-amber-50 rounded px-2 py-1">
+          Pre-filled from {prefill.periodLabel ? `your ${prefill.periodLabel} report` : 'your last report'} — please check it is still correct.
+          <button onClick={onConfirmPrefill} className="ml-2 font-medium hover:underline">
+            Confirm
+          </button>
+        </p>
+      )}
+
+      {field.description && (
+        <p className="text-sm text-gray-600 mt-1 mb-3">{field.description}</p>
+      )}
+
+      {nonResponse ? (
+        <p className="text-sm text-gray-700 bg-gray-50 rounded px-3 py-2">
+          Marked as: <span className="font-medium">{NonResponseLabels[nonResponse]}</span>
+          <button onClick={() => onNonResponseChange(null)} className="ml-3 text-blue-600 hover:underline">
+            Answer instead
+          </button>
+        </p>
+      ) : Input ? (
+        <Input field={field} value={value} onChange={onChange} />
+      ) : (
+        <p className="form-error">
+          This field type ({field.type}) is not supported yet.
+        </p>
+      )}
+
+      {!nonResponse && hasOtherSelected(field, value) && onOtherChange && (
+        <OtherSpecifyInput value={otherValue} onChange={onOtherChange} />
+      )}
+
+      {canDecline && !nonResponse && (
+        <label className="form-help flex items-center gap-2">
+          Can't answer?
+          <select
+            value=""
+            onChange={(e) => e.target.value && onNonResponseChange(e.target.value)}
+            className="text-sm border-gray-300 rounded px-1 py-0.5"
+          >
+            <option value="">Choose a reason…</option>
+            {Object.entries(NonResponseLabels).map(([reason, label]) => (
+              <option key={reason} value={reason}>{label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {comparison?.previousDisplay != null && (
+        <p className="form-help">
+          {comparisonLabel}: {comparison.previousDisplay}
+          {change && <span className="ml-2 font-medium text-gray-700">Change: {change}</span>}
+        </p>
+      )}
+
+      {benchmark && <BenchmarkBand benchmark={benchmark} value={value} />}
+
+      {field.warning && (
+        <p className="form-help text-amber-600">{field.warning}</p>
+      )}
+
+      {errors.map((error) => (
+        <p key={error} className="form-error">{error}</p>
+      ))}
+    </div>
+  )
+}
+
+export default FieldRenderer
@@ -0,0 +1,152 @@
+import React, { useState } from 'react'
+import { TierSources } from '../utils/dataEngine'
+import { formatDefinitionError } from '../utils/indicatorDefinition'
+import { ColumnRoles, RowStatus, diagnoseWorkplan } from '../utils/importDiagnostics'
+
+const NO_COLUMN = ''
+
+function ImportReview({ fileName, data, parseErrors, onContinue, onCancel }) {
+  const [columnOverrides, setColumnOverrides] = useState({})
+  const diagnosis = diagnoseWorkplan({ data, parseErrors }, columnOverrides)
+  const { summary } = diagnosis
+  const canContinue = diagnosis.errors.length === 0 && diagnosis.indicators.length > 0
+
+  const remap = (role, header) => setColumnOverrides({ ...columnOverrides, [role]: header })
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4">
+        <div className="bg-white rounded-xl border border-gray-200 p-6 mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-1">Review import</h1>
+          <p className="text-gray-600">
+            {fileName} • {summary.indicatorCount} indicators
+            {summary.fallbackCount > 0 && ` • ${summary.fallbackCount} short text`}
+            {summary.skippedCount > 0 && ` • ${summary.skippedCount} skipped rows`}
+            {summary.warningCount > 0 && ` • ${summary.warningCount} warnings`}
+          </p>
+          <p className="text-sm text-gray-500 mt-1">
+            Check how your workplan will be read before the reporting form is built.
+          </p>
+        </div>
+
+        {/* Column mapping */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 mb-6">
+          <h2 className="font-semibold text-gray-900 mb-4">Columns</h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {ColumnRoles.map((role) => (
+              <div key={role.key} className="form-group">
+                <label className="form-label">
+                  {role.label}{role.required && ' *'}
+                </label>
+                <select
+                  className="form-input"
+                  value={diagnosis.columns[role.key] || NO_COLUMN}
+                  onChange={(e) => remap(role.key, e.target.value)}
+                >
+                  <option value={NO_COLUMN}>— None —</option>
+                  {diagnosis.headers.map((header) => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {diagnosis.errors.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-6 mb-6">
+            <h2 className="font-semibold text-red-800">Fix these problems to continue</h2>
+            <ul className="mt-2 text-sm text-red-700 list-disc list-inside">
+              {diagnosis.errors.map((error, index) => (
+                <li key={index}>{formatDefinitionError(error)}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {diagnosis.warnings.length > 0 && (
+          <div className="bg-amber-50 border border-amber-200 rounded-xl p-6 mb-6">
+            <h2 className="font-semibold text-amber-800">CSV warnings</h2>
+            <p className="text-sm text-amber-700 mt-1">
+              These rows were still read; check that their values landed in the right columns.
+            </p>
+            <ul className="mt-2 text-sm text-amber-700 list-disc list-inside">
+              {diagnosis.warnings.map((warning, index) => (
+                <li key={index}>
+                  {warning.rowNumber ? `Row ${warning.rowNumber}: ` : ''}{warning.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Rows */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 mb-6">
+          <h2 className="font-semibold text-gray-900 mb-4">Rows</h2>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-2 w-12">Row</th>
+                <th className="py-2 pr-2">Indicator</th>
+                <th className="py-2 pr-2">Fields</th>
+                <th className="py-2 pr-2">Matched rule</th>
+                <th className="py-2 w-20">Tier</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diagnosis.rows.map((row) => (
+                row.status === RowStatus.SKIPPED ? (
+                  <tr key={row.rowNumber} className="border-t border-gray-100 text-gray-400">
+                    <td className="py-2 pr-2">{row.rowNumber}</td>
+                    <td className="py-2 pr-2 italic" colSpan={4}>Skipped — {row.reason}</td>
+                  </tr>
+                ) : (
+                  <tr
+                    key={row.rowNumber}
+                    className={`border-t border-gray-100 align-top ${row.isFallback ? 'bg-amber-50' : ''}`}
+                  >
+                    <td className="py-2 pr-2 text-gray-500">{row.rowNumber}</td>
+                    <td className="py-2 pr-2 text-gray-900">
+                      {row.title}
+                      {row.indicatorId && (
+                        <span className="block text-xs text-gray-400 font-mono">{row.indicatorId}</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-2 text-gray-700">{row.fieldTypes.join(', ')}</td>
+                    <td className={`py-2 pr-2 ${row.isFallback ? 'text-amber-700' : 'text-gray-600'}`}>
+                      {row.ruleLabel}
+                      {row.isFallback && (
+                        <span className="block text-xs">
+                          Add a measurement method or declare the field type to collect structured data
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 text-gray-700">
+                      {row.tier}
+                      {row.tierSource !== TierSources.EXPLICIT && <span className="text-gray-400"> (est.)</span>}
+                    </td>
+                  </tr>
+                )
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            onClick={() => onContinue(diagnosis.indicators)}
+            disabled={!canContinue}
+            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Continue with {summary.indicatorCount} indicators
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportReview
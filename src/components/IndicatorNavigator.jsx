@@ -0,0 +1,77 @@
+import React from 'react'
+import { TierLabels, matchesIndicatorFilter } from '../utils/dataEngine'
+
+const ALL = 'all'
+
+function IndicatorNavigator({ indicators, currentIndex, filter, onFilterChange, onSelect }) {
+  const categories = [...new Set(indicators.map(indicator => indicator.category || ''))].sort()
+  const hasCategories = categories.some(Boolean)
+  const matches = indicators
+    .map((indicator, index) => ({ indicator, index }))
+    .filter(({ indicator }) => matchesIndicatorFilter(indicator, filter))
+  const currentMatches = matches.some(({ index }) => index === currentIndex)
+
+  const count = (changes) => indicators.filter(indicator => matchesIndicatorFilter(indicator, { ...filter, ...changes })).length
+
+  // Move to the first matching indicator when the current one is filtered out
+  const changeFilter = (changes) => {
+    const next = { ...filter, ...changes }
+    onFilterChange(next)
+    const first = indicators.findIndex(indicator => matchesIndicatorFilter(indicator, next))
+    if (first !== -1 && !matchesIndicatorFilter(indicators[currentIndex], next)) onSelect(first)
+  }
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={filter.tier}
+          onChange={(e) => changeFilter({ tier: e.target.value })}
+          className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+        >
+          <option value={ALL}>All tiers ({count({ tier: ALL })})</option>
+          {[1, 2, 3].map((tier) => (
+            <option key={tier} value={String(tier)}>
+              Tier {tier}: {TierLabels[tier]} ({count({ tier: String(tier) })})
+            </option>
+          ))}
+        </select>
+
+        {hasCategories && (
+          <select
+            value={filter.category}
+            onChange={(e) => changeFilter({ category: e.target.value })}
+            className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+          >
+            <option value={ALL}>All categories ({count({ category: ALL })})</option>
+            {categories.map((category) => (
+              <option key={category} value={category}>
+                {category || 'Uncategorized'} ({count({ category })})
+              </option>
+            ))}
+          </select>
+        )}
+
+        <select
+          value={currentMatches ? String(currentIndex) : ''}
+          onChange={(e) => onSelect(Number(e.target.value))}
+          disabled={matches.length === 0}
+          className="flex-1 min-w-0 text-sm border border-gray-300 rounded-lg px-2 py-1"
+        >
+          {!currentMatches && <option value="">Go to indicator…</option>}
+          {matches.map(({ indicator, index }) => (
+            <option key={indicator.id} value={String(index)}>
+              {index + 1}. {indicator.title} (Tier {indicator.tier})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {matches.length === 0 && (
+        <p className="text-sm text-amber-700 mt-2">No indicators match these filters.</p>
+      )}
+    </div>
+  )
+}
+
+export default IndicatorNavigator
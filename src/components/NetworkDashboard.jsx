@@ -0,0 +1,223 @@
+import React, { useState } from 'react'
+import { FieldTypes, formatCalculatedValue, NonResponseLabels } from '../utils/dataEngine'
+import { aggregateReports } from '../utils/networkAggregation'
+
+const displayFormat = (field) => {
+  if (field.type === FieldTypes.CURRENCY) return 'currency'
+  if (field.type === FieldTypes.PERCENTAGE) return 'percentage'
+  if (field.type === FieldTypes.RATIO) return field.format || 'ratio'
+  return field.format
+}
+
+// "2 not applicable, 1 unknown"; fields marked without a value are reported apart from answers
+const describeNonResponses = (field) => Object.entries(field.nonResponses || {})
+  .filter(([, count]) => count > 0)
+  .map(([reason, count]) => `${count} ${NonResponseLabels[reason].toLowerCase()}`)
+  .join(', ')
+
+function NumericSummary({ field }) {
+  const { summary } = field
+  const show = (value) => formatCalculatedValue(value, displayFormat(field)) ?? '—'
+  const largest = Math.max(...summary.values.map(entry => Math.abs(entry.value)), 0)
+
+  return (
+    <div>
+      <p className="text-sm text-gray-700">
+        Median <span className="font-semibold">{show(summary.median)}</span>
+        {' • '}Range {show(summary.min)} – {show(summary.max)}
+        {' • '}Middle half {show(summary.lowerQuartile)} – {show(summary.upperQuartile)}
+      </p>
+      <ul className="mt-2 space-y-1">
+        {summary.values.map((entry, index) => (
+          <li key={`${entry.organization}-${index}`} className="flex items-center gap-2 text-xs text-gray-600">
+            <span className="w-40 truncate">{entry.organization}</span>
+            <span className="flex-1 bg-gray-100 rounded h-2">
+              <span
+                className="block bg-blue-500 h-2 rounded"
+                style={{ width: `${largest > 0 ? (Math.abs(entry.value) / largest) * 100 : 0}%` }}
+              />
+            </span>
+            <span className="w-20 text-right">{show(entry.value)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+function OptionSummary({ field }) {
+  return (
+    <table className="w-full text-sm">
+      <tbody>
+        {field.summary.options.map((option) => (
+          <tr key={option.value} className="border-t border-gray-100">
+            <td className="py-1 text-gray-700">{option.label}</td>
+            <td className="py-1 w-16 text-right text-gray-600">{option.count}</td>
+            <td className="py-1 w-16 text-right text-gray-500">{option.percentage}%</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function NetworkDashboard({ reports, onAddReports, onRemoveReport, onExportBenchmarks, onClose }) {
+  const [tierFilter, setTierFilter] = useState('all')
+  const aggregate = aggregateReports(reports)
+  const indicators = aggregate.indicators.filter(indicator => (
+    tierFilter === 'all' || indicator.tier === Number(tierFilter)
+  ))
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4">
+        <div className="bg-white rounded-xl border border-gray-200 p-6 mb-6">
+          <div className="flex justify-between items-start">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 mb-1">Network dashboard</h1>
+              <p className="text-gray-600">
+                {reports.length} {reports.length === 1 ? 'report' : 'reports'} • {aggregate.indicators.length} indicators
+                {aggregate.periods.length > 0 && ` • ${aggregate.periods.join(', ')}`}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="file"
+                accept=".json,application/json"
+                multiple
+                onChange={onAddReports}
+                className="hidden"
+                id="network-report-upload"
+              />
+              <label htmlFor="network-report-upload" className="btn-primary text-sm cursor-pointer">
+                Add reports
+              </label>
+              <button
+                onClick={() => onExportBenchmarks(aggregate)}
+                disabled={reports.length === 0 || aggregate.duplicates.length > 0}
+                className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Anonymized percentiles that member organizations can load to compare themselves with peers"
+              >
+                Export benchmarks
+              </button>
+              <button onClick={onClose} className="btn-secondary text-sm">
+                Close
+              </button>
+            </div>
+          </div>
+
+          {aggregate.periods.length > 1 && (
+            <p className="mt-4 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3">
+              These reports cover different periods ({aggregate.periods.join(', ')}). Figures are combined as-is.
+            </p>
+          )}
+          {aggregate.duplicates.map((duplicate) => (
+            <p
+              key={`${duplicate.code}-${duplicate.periodLabel}`}
+              className="mt-2 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3"
+            >
+              {duplicate.code} has more than one report{duplicate.periodLabel && ` for ${duplicate.periodLabel}`}
+              {' '}({duplicate.fileNames.join(', ')}). Only the first is counted; remove the extra copies.
+            </p>
+          ))}
+        </div>
+
+        {/* Per-organization completion */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Organizations</h2>
+          {reports.length === 0 ? (
+            <p className="text-sm text-gray-600">Add exported reports (.json) from member organizations to begin.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="pb-2 font-medium">Organization</th>
+                  <th className="pb-2 font-medium">Period</th>
+                  <th className="pb-2 font-medium text-right">Indicators</th>
+                  <th className="pb-2 font-medium text-right">Complete</th>
+                  <th className="pb-2 font-medium text-right">Data quality</th>
+                  <th className="pb-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {aggregate.organizations.map((organization, index) => (
+                  <tr key={`${organization.fileName}-${index}`} className="border-t border-gray-100">
+                    <td className="py-2">
+                      <div className="font-medium text-gray-900">{organization.name}</div>
+                      <div className="text-xs text-gray-500">{organization.code || '—'} • {organization.fileName}</div>
+                    </td>
+                    <td className="py-2 text-gray-700">{organization.periodLabel || 'Not specified'}</td>
+                    <td className="py-2 text-right text-gray-700">{organization.indicatorCount}</td>
+                    <td className="py-2 text-right">
+                      <span className="font-semibold text-blue-600">{organization.completion.percentage}%</span>
+                    </td>
+                    <td className="py-2 text-right text-gray-700">{organization.quality.overallScore}%</td>
+                    <td className="py-2 text-right">
+                      <button onClick={() => onRemoveReport(index)} className="text-red-600 hover:underline">
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Per-indicator aggregates */}
+        {aggregate.indicators.length > 0 && (
+          <div className="flex justify-end mb-4">
+            <select
+              value={tierFilter}
+              onChange={(e) => setTierFilter(e.target.value)}
+              className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+            >
+              <option value="all">All tiers</option>
+              <option value="1">Tier 1</option>
+              <option value="2">Tier 2</option>
+              <option value="3">Tier 3</option>
+            </select>
+          </div>
+        )}
+
+        <div className="space-y-6">
+          {indicators.map((indicator) => (
+            <div key={indicator.key} className="bg-white rounded-xl border border-gray-200 p-6">
+              <div className="flex justify-between items-start mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">{indicator.title}</h2>
+                <span className="text-sm text-gray-500">
+                  Tier {indicator.tier} • {indicator.organizationCount} of {aggregate.organizationCount} organizations
+                </span>
+              </div>
+
+              <div className="space-y-5">
+                {indicator.fields.map((field) => (
+                  <div key={field.key}>
+                    <h3 className="text-sm font-medium text-gray-900">
+                      {field.label}
+                      <span className="ml-2 font-normal text-gray-500">
+                        {field.respondents} {field.respondents === 1 ? 'response' : 'responses'}
+                      </span>
+                    </h3>
+                    {describeNonResponses(field) && (
+                      <p className="text-xs text-gray-500">Not counted: {describeNonResponses(field)}</p>
+                    )}
+                    {field.respondents === 0 ? null : field.kind === 'numeric' ? (
+                      <NumericSummary field={field} />
+                    ) : field.kind === 'options' ? (
+                      <OptionSummary field={field} />
+                    ) : (
+                      <p className="text-sm text-gray-500">Free-text answers are not aggregated.</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default NetworkDashboard
@@ -0,0 +1,134 @@
+import React, { useState } from 'react'
+import { MatchSources } from '../utils/organizationRegistry'
+
+const SOURCE_DESCRIPTIONS = {
+  [MatchSources.COLUMN]: 'the Organization column in the CSV',
+  [MatchSources.FILENAME]: 'the file name',
+  [MatchSources.ALIAS]: 'a name mentioned in the indicator text'
+}
+
+const MANUAL = '__manual__'
+
+function OrganizationConfirm({ match, registry, onConfirm, onLoadRegistry, onResetRegistry }) {
+  const detectedCode = match.organization?.code
+  const isRegistered = registry.organizations.some(organization => organization.code === detectedCode)
+  const [selected, setSelected] = useState(isRegistered ? detectedCode : MANUAL)
+  const [manualName, setManualName] = useState(isRegistered ? '' : match.organization?.name || '')
+  const [manualCode, setManualCode] = useState(isRegistered ? '' : match.organization?.code || '')
+
+  const chosen = selected === MANUAL
+    ? { name: manualName.trim(), code: manualCode.trim().toUpperCase() || null }
+    : registry.organizations.find(organization => organization.code === selected)
+  const canContinue = Boolean(chosen?.name)
+  const confidence = Math.round(match.confidence * 100)
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12">
+      <div className="max-w-2xl mx-auto px-4">
+        <div className="bg-white rounded-xl border border-gray-200 p-8">
+          <h1 className="text-2xl font-bold text-gray-900 mb-1">Confirm your organization</h1>
+          <p className="text-gray-600 mb-6">
+            Reports are grouped and compared by organization, so please check this before you start.
+          </p>
+
+          <div className={`rounded-lg p-4 mb-6 ${match.organization ? 'bg-blue-50' : 'bg-amber-50'}`}>
+            {match.organization ? (
+              <>
+                <p className="font-semibold text-gray-900">
+                  {match.organization.name}{match.organization.code && ` (${match.organization.code})`}
+                </p>
+                <p className="text-sm text-gray-600 mt-1">
+                  Detected from {SOURCE_DESCRIPTIONS[match.source]}
+                  {match.matchedText && <> (“{match.matchedText}”)</>}
+                  {' • '}{confidence}% confidence
+                </p>
+                {!isRegistered && (
+                  <p className="text-sm text-amber-700 mt-1">This organization is not in the registry.</p>
+                )}
+              </>
+            ) : (
+              <p className="text-sm text-amber-800">
+                We could not tell which organization this workplan belongs to.
+                {match.candidates.length > 0 && (
+                  <> Possible matches: {match.candidates.map(candidate => candidate.name).join(', ')}.</>
+                )}
+              </p>
+            )}
+          </div>
+
+          <div className="form-group mb-4">
+            <label className="form-label">Organization</label>
+            <select
+              className="form-input"
+              value={selected}
+              onChange={(e) => setSelected(e.target.value)}
+            >
+              {registry.organizations.map((organization) => (
+                <option key={organization.code} value={organization.code}>
+                  {organization.name} ({organization.code})
+                  {organization.region ? ` — ${organization.region}` : ''}
+                </option>
+              ))}
+              <option value={MANUAL}>Not listed — enter details</option>
+            </select>
+          </div>
+
+          {selected === MANUAL && (
+            <div className="grid grid-cols-3 gap-4 mb-4">
+              <div className="form-group col-span-2">
+                <label className="form-label">Organization name</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={manualName}
+                  onChange={(e) => setManualName(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Code</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={manualCode}
+                  maxLength={10}
+                  onChange={(e) => setManualCode(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="text-sm text-gray-500 mb-6">
+            <input
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              onChange={onLoadRegistry}
+              className="hidden"
+              id="registry-upload"
+            />
+            Registry: {registry.fileName || 'built-in list'} ({registry.organizations.length} organizations)
+            <label htmlFor="registry-upload" className="ml-2 text-blue-600 cursor-pointer hover:underline">
+              Load registry file
+            </label>
+            {registry.fileName && (
+              <button onClick={onResetRegistry} className="ml-2 text-blue-600 hover:underline">
+                Use built-in list
+              </button>
+            )}
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              onClick={() => onConfirm(chosen)}
+              disabled={!canContinue}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Continue
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrganizationConfirm
@@ -0,0 +1,193 @@
+import React, { useState } from 'react'
+import { parseISO } from 'date-fns'
+import {
+  PeriodTypes,
+  DEFAULT_FISCAL_YEAR_START_MONTH,
+  createFiscalYearPeriod,
+  createQuarterPeriod,
+  createCustomPeriod,
+  validatePeriod,
+  periodLengthInDays
+} from '../utils/reportingPeriod'
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+]
+
+// Default to the most recent fiscal year that has already ended
+const lastCompletedFiscalYearStart = (startMonth) => {
+  const today = new Date()
+  const currentStartYear = today.getMonth() + 1 >= startMonth ? today.getFullYear() : today.getFullYear() - 1
+  return currentStartYear - 1
+}
+
+const initialState = (period) => {
+  const startMonth = period?.fiscalYearStartMonth || DEFAULT_FISCAL_YEAR_START_MONTH
+  let startYear = lastCompletedFiscalYearStart(startMonth)
+  if (period?.type === PeriodTypes.FISCAL_YEAR) {
+    startYear = parseISO(period.start).getFullYear()
+  } else if (period?.type === PeriodTypes.QUARTER) {
+    startYear = parseISO(period.start).getFullYear() - (parseISO(period.start).getMonth() + 1 < startMonth ? 1 : 0)
+  }
+
+  return {
+    type: period?.type || PeriodTypes.FISCAL_YEAR,
+    startMonth,
+    startYear,
+    quarter: period?.quarter || 1,
+    customStart: period?.type === PeriodTypes.CUSTOM ? period.start : '',
+    customEnd: period?.type === PeriodTypes.CUSTOM ? period.end : ''
+  }
+}
+
+const buildPeriod = (state) => {
+  if (state.type === PeriodTypes.FISCAL_YEAR) {
+    return createFiscalYearPeriod(state.startYear, state.startMonth)
+  }
+  if (state.type === PeriodTypes.QUARTER) {
+    return createQuarterPeriod(state.startYear, state.quarter, state.startMonth)
+  }
+  if (!state.customStart || !state.customEnd) return null
+  return createCustomPeriod(state.customStart, state.customEnd)
+}
+
+function PeriodSelector({ organization, initialPeriod, onConfirm, onCancel }) {
+  const [state, setState] = useState(() => initialState(initialPeriod))
+  const update = (changes) => setState({ ...state, ...changes })
+
+  const period = buildPeriod(state)
+  const error = validatePeriod(period)
+  const currentYear = new Date().getFullYear()
+  const years = Array.from({ length: 8 }, (_, index) => currentYear - 6 + index)
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12">
+      <div className="max-w-2xl mx-auto px-4">
+        <div className="bg-white rounded-xl border border-gray-200 p-8">
+          <h1 className="text-2xl font-bold text-gray-900 mb-1">Reporting period</h1>
+          <p className="text-gray-600 mb-6">
+            Which period does this report for {organization?.name || 'your organization'} cover?
+          </p>
+
+          <div className="flex gap-2 mb-6">
+            {[
+              [PeriodTypes.FISCAL_YEAR, 'Fiscal year'],
+              [PeriodTypes.QUARTER, 'Quarter'],
+              [PeriodTypes.CUSTOM, 'Custom range']
+            ].map(([type, label]) => (
+              <button
+                key={type}
+                onClick={() => update({ type })}
+                className={state.type === type ? 'btn-primary text-sm' : 'btn-secondary text-sm'}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {state.type !== PeriodTypes.CUSTOM && (
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div className="form-group">
+                <label className="form-label">Fiscal year starts in</label>
+                <select
+                  className="form-input"
+                  value={state.startMonth}
+                  onChange={(e) => update({ startMonth: Number(e.target.value) })}
+                >
+                  {MONTHS.map((month, index) => (
+                    <option key={month} value={index + 1}>{month}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Fiscal year</label>
+                <select
+                  className="form-input"
+                  value={state.startYear}
+                  onChange={(e) => update({ startYear: Number(e.target.value) })}
+                >
+                  {years.map((year) => (
+                    <option key={year} value={year}>
+                      {createFiscalYearPeriod(year, state.startMonth).label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+
+          {state.type === PeriodTypes.QUARTER && (
+            <div className="form-group mb-4">
+              <label className="form-label">Quarter</label>
+              <div className="flex gap-2">
+                {[1, 2, 3, 4].map((quarter) => (
+                  <button
+                    key={quarter}
+                    onClick={() => update({ quarter })}
+                    className={state.quarter === quarter ? 'btn-primary text-sm' : 'btn-secondary text-sm'}
+                  >
+                    Q{quarter}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {state.type === PeriodTypes.CUSTOM && (
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div className="form-group">
+                <label className="form-label">Start date</label>
+                <input
+                  type="date"
+                  className="form-input"
+                  value={state.customStart}
+                  onChange={(e) => update({ customStart: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">End date</label>
+                <input
+                  type="date"
+                  className="form-input"
+                  value={state.customEnd}
+                  onChange={(e) => update({ customEnd: e.target.value })}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="bg-gray-50 rounded-lg p-4 mb-6">
+            {error ? (
+              <p className="form-error mt-0">{error}</p>
+            ) : (
+              <>
+                <p className="font-semibold text-gray-900">{period.label}</p>
+                <p className="text-sm text-gray-600">
+                  {period.start} to {period.end} • {periodLengthInDays(period)} days
+                </p>
+              </>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            {onCancel && (
+              <button onClick={onCancel} className="btn-secondary">
+                Cancel
+              </button>
+            )}
+            <button
+              onClick={() => onConfirm(period)}
+              disabled={Boolean(error)}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Continue
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PeriodSelector
@@ -0,0 +1,208 @@
+import React from 'react'
+import { format } from 'date-fns'
+import {
+  formatFieldValue,
+  getNonResponseReason,
+  getOtherText,
+  isFieldVisible,
+  NonResponseLabels,
+  QualityFlagLabels
+} from '../utils/dataEngine'
+import { AttestationLabels, submissionBlockers, validateAttestation } from '../utils/submission'
+
+const displayAnswer = (field, responses) => {
+  const reason = getNonResponseReason(field, responses)
+  if (reason) return NonResponseLabels[reason]
+  return formatFieldValue(field, responses[field.id], getOtherText(field, responses)) ?? 'Not answered'
+}
+
+// Summary of every indicator before sign-off; read-only once the report is submitted
+function ReviewScreen({
+  organization,
+  period,
+  indicators,
+  responses,
+  validation,
+  dataQuality,
+  reviewed,
+  attestation,
+  submitted,
+  submitting = false,
+  onToggleReviewed,
+  onAttestationChange,
+  onEditIndicator,
+  onBack,
+  onSubmit,
+  onDownloadSubmitted,
+  onDownloadPdf,
+  onDownloadPackage,
+  onReopen,
+  onClose
+}) {
+  const locked = Boolean(submitted)
+  const blockers = submissionBlockers({ indicators, validation, reviewed, attestation })
+  const attestationErrors = validateAttestation(attestation)
+  const reviewedCount = indicators.filter(indicator => reviewed[indicator.id]).length
+  const submission = submitted?.report.submission
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4">
+        <div className="bg-white rounded-xl border border-gray-200 p-6 mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-1">
+            {locked ? 'Submitted report' : 'Review and sign off'}
+          </h1>
+          <p className="text-gray-600">
+            {organization?.name || 'Unknown Organization'}
+            {period?.label && ` • ${period.label}`}
+            {` • ${reviewedCount} of ${indicators.length} indicators reviewed`}
+          </p>
+          {!locked && (
+            <p className="text-sm text-gray-500 mt-1">
+              Check each indicator's answers, tick it as reviewed, then complete the sign-off to submit.
+              Changing an answer clears its tick.
+            </p>
+          )}
+        </div>
+
+        {locked && (
+          <div className="bg-green-50 border border-green-200 rounded-xl p-6 mb-6">
+            <h2 className="font-semibold text-green-800">
+              Submitted {format(new Date(submission.submittedAt), 'MMMM d, yyyy h:mm a')}
+            </h2>
+            <p className="text-sm text-green-700 mt-1">
+              This report is locked. Its export carries a {submission.contentHash.algorithm} content hash, so any later
+              edit to the file can be detected when it is opened.
+            </p>
+            <p className="text-xs text-green-700 font-mono mt-2 break-all">{submission.contentHash.value}</p>
+            <div className="flex flex-wrap gap-2 mt-4">
+              <button onClick={onDownloadSubmitted} className="btn-primary text-sm">Download report (JSON)</button>
+              <button onClick={onDownloadPdf} className="btn-secondary text-sm">Download PDF</button>
+              <button onClick={onDownloadPackage} className="btn-secondary text-sm">Package (ZIP)</button>
+              <button onClick={onClose} className="btn-secondary text-sm">Close report</button>
+              <button onClick={onReopen} className="text-sm text-red-600 hover:underline ml-2">
+                Reopen for editing
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Indicators */}
+        <div className="space-y-4 mb-6">
+          {indicators.map((indicator, index) => {
+            const issues = validation.issues.filter(issue => issue.indicatorId === indicator.id)
+            const warnings = validation.warnings.filter(warning => warning.indicatorId === indicator.id)
+            const flags = dataQuality.indicators[index]?.flags || []
+
+            return (
+              <div key={indicator.id} className="bg-white rounded-xl border border-gray-200 p-6">
+                <div className="flex justify-between items-start gap-4">
+                  <div>
+                    <h2 className="font-semibold text-gray-900">{indicator.title}</h2>
+                    <span className={`badge badge-tier${indicator.tier}`}>Tier {indicator.tier}</span>
+                  </div>
+                  <div className="flex items-center gap-4 shrink-0 text-sm">
+                    {!locked && (
+                      <button onClick={() => onEditIndicator(index)} className="text-blue-600 hover:underline">
+                        Edit
+                      </button>
+                    )}
+                    <label className="flex items-center gap-2 text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(reviewed[indicator.id])}
+                        onChange={() => onToggleReviewed(indicator.id)}
+                        disabled={locked}
+                      />
+                      Reviewed
+                    </label>
+                  </div>
+                </div>
+
+                <dl className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+                  {indicator.fields.filter(field => isFieldVisible(field, responses)).map((field) => (
+                    <div key={field.id} className="flex justify-between gap-4 border-b border-gray-100 py-1">
+                      <dt className="text-gray-600">{field.label}</dt>
+                      <dd className="text-gray-900 text-right">{displayAnswer(field, responses)}</dd>
+                    </div>
+                  ))}
+                </dl>
+
+                {issues.length > 0 && (
+                  <ul className="mt-3 text-sm text-red-700 list-disc list-inside">
+                    {issues.map((issue) => (
+                      <li key={issue.id}>{issue.fieldLabel}: {issue.message}</li>
+                    ))}
+                  </ul>
+                )}
+                {warnings.length > 0 && (
+                  <ul className="mt-3 text-sm text-amber-700 list-disc list-inside">
+                    {warnings.map((warning) => (
+                      <li key={warning.id}>Warning: {warning.message}</li>
+                    ))}
+                  </ul>
+                )}
+                {flags.length > 0 && (
+                  <ul className="mt-3 text-sm text-amber-700 list-disc list-inside">
+                    {flags.map((flag) => (
+                      <li key={flag.fieldId}>Data quality: {flag.label}: {QualityFlagLabels[flag.flag]}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        {/* Attestation */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 mb-6">
+          <h2 className="font-semibold text-gray-900">Sign-off</h2>
+          <p className="text-sm text-gray-600 mt-1 mb-4">
+            By submitting, the preparer confirms the answers above are accurate to the best of their knowledge
+            and that the board approver has approved this report.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {Object.entries(AttestationLabels).map(([key, label]) => (
+              <div key={key} className="form-group">
+                <label className="form-label" htmlFor={`attestation-${key}`}>{label} *</label>
+                <input
+                  id={`attestation-${key}`}
+                  type={key === 'approvalDate' ? 'date' : 'text'}
+                  className="form-input"
+                  value={attestation[key] || ''}
+                  onChange={(e) => onAttestationChange({ [key]: e.target.value })}
+                  disabled={locked}
+                />
+                {!locked && attestation[key] && attestationErrors[key] && (
+                  <p className="form-error">{attestationErrors[key]}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {!locked && (
+          <div className="flex justify-between items-center gap-4">
+            <button onClick={onBack} className="btn-secondary">
+              ← Back to form
+            </button>
+            <div className="flex items-center gap-4">
+              {blockers.length > 0 && (
+                <span className="text-sm text-gray-500">{blockers.join(' • ')}</span>
+              )}
+              <button
+                onClick={onSubmit}
+                disabled={blockers.length > 0 || submitting}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Submitting…' : 'Submit report'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReviewScreen
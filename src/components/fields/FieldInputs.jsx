@@ -0,0 +1,236 @@
+import React from 'react'
+import {
+  FieldTypes,
+  OTHER_TEXT_MAX_LENGTH,
+  formatCalculatedValue,
+  parsePeriodValue,
+  toPeriodValue
+} from '../../utils/dataEngine'
+
+// Every input receives the same props: { field, value, onChange }
+// onChange is called with the parsed response value (null when cleared)
+
+const parseNumberInput = (rawValue) => (rawValue === '' ? null : Number(rawValue))
+
+export function NumberInput({ field, value, onChange }) {
+  return (
+    <input
+      type="number"
+      className="form-input"
+      value={value ?? ''}
+      onChange={(e) => onChange(parseNumberInput(e.target.value))}
+      min={field.min}
+      max={field.max}
+      step={field.step}
+      placeholder={field.placeholder || `Enter ${field.label.toLowerCase()}`}
+    />
+  )
+}
+
+export function CurrencyInput({ field, value, onChange }) {
+  return (
+    <div className="relative">
+      <span className="absolute left-3 top-3 text-gray-500">$</span>
+      <input
+        type="number"
+        className="form-input pl-8"
+        value={value ?? ''}
+        onChange={(e) => onChange(parseNumberInput(e.target.value))}
+        min="0"
+        step="0.01"
+        placeholder={field.placeholder || '0.00'}
+      />
+    </div>
+  )
+}
+
+export function PercentageInput({ field, value, onChange }) {
+  return (
+    <div className="relative">
+      <input
+        type="number"
+        className="form-input pr-8"
+        value={value ?? ''}
+        onChange={(e) => onChange(parseNumberInput(e.target.value))}
+        min="0"
+        max="100"
+        placeholder={field.placeholder || '0'}
+      />
+      <span className="absolute right-3 top-3 text-gray-500">%</span>
+    </div>
+  )
+}
+
+export function RadioInput({ field, value, onChange }) {
+  return (
+    <div className="space-y-2">
+      {(field.options || []).map((option) => (
+        <label key={option.value} className="flex items-center">
+          <input
+            type="radio"
+            name={field.id}
+            value={option.value}
+            checked={value === option.value}
+            onChange={() => onChange(option.value)}
+            className="form-radio text-blue-600"
+          />
+          <span className="ml-2">{option.label}</span>
+        </label>
+      ))}
+    </div>
+  )
+}
+
+export function ScaleInput({ field, value, onChange }) {
+  return (
+    <div className="space-y-2">
+      {(field.options || []).map((option) => (
+        <label key={option.value} className="flex items-center">
+          <input
+            type="radio"
+            name={field.id}
+            value={option.value}
+            checked={value === option.value}
+            onChange={() => onChange(Number(option.value))}
+            className="form-radio text-blue-600"
+          />
+          <span className="ml-2">{option.label}</span>
+        </label>
+      ))}
+    </div>
+  )
+}
+
+export function CheckboxInput({ field, value, onChange }) {
+  const selected = Array.isArray(value) ? value : []
+
+  return (
+    <div className="space-y-3">
+      {(field.options || []).map((option) => (
+        <label key={option.value} className="flex items-start">
+          <input
+            type="checkbox"
+            checked={selected.includes(option.value)}
+            onChange={(e) => {
+              const newValues = e.target.checked
+                ? [...selected, option.value]
+                : selected.filter(v => v !== option.value)
+              onChange(newValues)
+            }}
+            className="form-checkbox text-blue-600 mt-1"
+          />
+          <span className="ml-3">{option.label}</span>
+        </label>
+      ))}
+    </div>
+  )
+}
+
+export function DropdownInput({ field, value, onChange }) {
+  return (
+    <select
+      className="form-input"
+      value={value ?? ''}
+      onChange={(e) => {
+        // Option values may be numbers; keep the original type
+        const option = (field.options || []).find(opt => String(opt.value) === e.target.value)
+        onChange(option ? option.value : null)
+      }}
+    >
+      <option value="">{field.placeholder || 'Select an option'}</option>
+      {(field.options || []).map((option) => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  )
+}
+
+export function DateInput({ field, value, onChange }) {
+  return (
+    <input
+      type="date"
+      className="form-input"
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      min={field.min}
+      max={field.max}
+    />
+  )
+}
+
+export function PeriodInput({ value, onChange }) {
+  const { start, end } = parsePeriodValue(value)
+
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      <div>
+        <span className="form-help block mb-1">Start date</span>
+        <input
+          type="date"
+          className="form-input"
+          value={start}
+          max={end || undefined}
+          onChange={(e) => onChange(toPeriodValue(e.target.value, end))}
+        />
+      </div>
+      <div>
+        <span className="form-help block mb-1">End date</span>
+        <input
+          type="date"
+          className="form-input"
+          value={end}
+          min={start || undefined}
+          onChange={(e) => onChange(toPeriodValue(start, e.target.value))}
+        />
+      </div>
+    </div>
+  )
+}
+
+export function TextShortInput({ field, value, onChange }) {
+  const text = value ?? ''
+
+  return (
+    <div>
+      <input
+        type="text"
+        className="form-input"
+        value={text}
+        maxLength={field.maxLength}
+        onChange={(e) => onChange(e.target.value === '' ? null : e.target.value)}
+        placeholder={field.placeholder}
+      />
+      {field.maxLength && (
+        <p className="form-help text-right">{text.length} / {field.maxLength}</p>
+      )}
+    </div>
+  )
+}
+
+export function CalculatedDisplay({ field, value }) {
+  const defaultFormat = field.type === FieldTypes.RATIO ? 'ratio' : undefined
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+      <div className="text-lg font-semibold text-blue-900">
+        {formatCalculatedValue(value, field.format || defaultFormat) ?? 'Waiting for inputs...'}
+      </div>
+      <p className="text-sm text-blue-700 mt-1">
+        Automatically calculated based on your inputs
+      </p>
+    </div>
+  )
+}
+
+// Linked free-text sub-response shown when "Other (specify)" is selected
+export function OtherSpecifyInput({ value, onChange }) {
+  return (
+    <div className="mt-3 ml-7">
+      <TextShortInput
+        field={{ maxLength: OTHER_TEXT_MAX_LENGTH, placeholder: 'Please specify' }}
+        value={value}
+        onChange={onChange}
+      />
+    </div>
+  )
+}
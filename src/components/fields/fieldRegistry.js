@@ -0,0 +1,49 @@
+// Field Renderer Registry
+// Maps each FieldTypes entry to the component that renders its input
+
+import { FieldTypes } from '../../utils/dataEngine';
+import {
+  NumberInput,
+  CurrencyInput,
+  PercentageInput,
+  RadioInput,
+  ScaleInput,
+  CheckboxInput,
+  DropdownInput,
+  DateInput,
+  PeriodInput,
+  TextShortInput,
+  CalculatedDisplay
+} from './FieldInputs';
+
+const renderers = {};
+
+/**
+ * Register the component used to render a field type
+ * Components receive { field, value, onChange }
+ */
+export const registerFieldRenderer = (type, component) => {
+  renderers[type] = component;
+};
+
+export const getFieldRenderer = (type) => renderers[type] || null;
+
+/**
+ * Field types that have no registered renderer (should always be empty)
+ */
+export const getUnregisteredFieldTypes = () => (
+  Object.values(FieldTypes).filter(type => !renderers[type])
+);
+
+registerFieldRenderer(FieldTypes.NUMBER, NumberInput);
+registerFieldRenderer(FieldTypes.CURRENCY, CurrencyInput);
+registerFieldRenderer(FieldTypes.PERCENTAGE, PercentageInput);
+registerFieldRenderer(FieldTypes.SCALE, ScaleInput);
+registerFieldRenderer(FieldTypes.RADIO, RadioInput);
+registerFieldRenderer(FieldTypes.CHECKBOX, CheckboxInput);
+registerFieldRenderer(FieldTypes.DROPDOWN, DropdownInput);
+registerFieldRenderer(FieldTypes.CALCULATED, CalculatedDisplay);
+registerFieldRenderer(FieldTypes.RATIO, CalculatedDisplay);
+registerFieldRenderer(FieldTypes.TEXT_SHORT, TextShortInput);
+registerFieldRenderer(FieldTypes.DATE, DateInput);
+registerFieldRenderer(FieldTypes.PERIOD, PeriodInput);
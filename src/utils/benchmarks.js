@@ -0,0 +1,157 @@
+// Anonymized Benchmarks
+// Percentile bundles built from many organizations' reports, without organization identities
+
+import { formatCalculatedValue, FieldTypes } from './dataEngine';
+import { indicatorKey, quantile } from './networkAggregation';
+
+export const BENCHMARK_SCHEMA_ID = 'ywc-reporting-portal/benchmarks';
+export const BENCHMARK_SCHEMA_VERSION = 1;
+
+// Fewer organizations than this could let a peer's value be inferred
+export const MIN_GROUP_SIZE = 5;
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+/**
+ * Build a benchmark bundle from `aggregateReports` output
+ * Only numeric fields answered by at least `minGroupSize` distinct organizations are
+ * included, and only percentiles are kept — never individual values or organization names.
+ * Duplicate reports are already left out by aggregateReports; `count` is the number of
+ * organizations, not answers, since one organization may report several periods
+ *
+ * {
+ *   schema, schemaVersion, generatedAt, minGroupSize, periods: [label],
+ *   benchmarks: [{ indicatorKey, indicatorTitle, fieldKey, fieldLabel, type, format, count, p10, p25, p50, p75, p90 }]
+ * }
+ */
+export const buildBenchmarkBundle = (aggregate, { minGroupSize = MIN_GROUP_SIZE, generatedAt = new Date() } = {}) => ({
+  schema: BENCHMARK_SCHEMA_ID,
+  schemaVersion: BENCHMARK_SCHEMA_VERSION,
+  generatedAt: generatedAt.toISOString(),
+  minGroupSize,
+  periods: aggregate.periods,
+  benchmarks: aggregate.indicators.flatMap(indicator => (
+    indicator.fields
+      .filter(field => field.kind === 'numeric')
+      .map(field => ({ field, organizationCount: new Set(field.summary.values.map(entry => entry.organizationId)).size }))
+      .filter(({ organizationCount }) => organizationCount >= minGroupSize)
+      .map(({ field, organizationCount }) => {
+        const values = field.summary.values.map(entry => entry.value);
+        return {
+          indicatorKey: indicator.key,
+          indicatorTitle: indicator.title,
+          fieldKey: field.key,
+          fieldLabel: field.label,
+          type: field.type,
+          format: field.format,
+          count: organizationCount,
+          ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, quantile(values, p / 100)]))
+        };
+      })
+  ))
+});
+
+/**
+ * Read a benchmark bundle file
+ * Entries below the bundle's minimum group size (or the portal's, if larger) are dropped
+ */
+export const parseBenchmarkBundle = (input) => {
+  let bundle = input;
+  if (typeof input === 'string') {
+    try {
+      bundle = JSON.parse(input);
+    } catch {
+      throw new Error('This file is not valid JSON');
+    }
+  }
+
+  if (!bundle || bundle.schema !== BENCHMARK_SCHEMA_ID || !Array.isArray(bundle.benchmarks)) {
+    throw new Error('This file is not a YWC benchmark bundle');
+  }
+  if (bundle.schemaVersion > BENCHMARK_SCHEMA_VERSION) {
+    throw new Error(
+      `This bundle uses schema version ${bundle.schemaVersion}, but this portal only reads up to version ${BENCHMARK_SCHEMA_VERSION}. Please update the portal.`
+    );
+  }
+
+  const minGroupSize = Math.max(bundle.minGroupSize || 0, MIN_GROUP_SIZE);
+  return {
+    ...bundle,
+    minGroupSize,
+    benchmarks: bundle.benchmarks.filter(entry => (
+      entry.count >= minGroupSize && PERCENTILES.every(p => Number.isFinite(entry[`p${p}`]))
+    ))
+  };
+};
+
+/**
+ * Benchmark for one field of an indicator, or null when the bundle has none
+ */
+export const findBenchmark = (bundle, indicator, field) => {
+  if (!bundle) return null;
+  const key = indicatorKey(indicator);
+  return bundle.benchmarks.find(entry => entry.indicatorKey === key && entry.fieldKey === field.key) || null;
+};
+
+/**
+ * Where a value sits among its peers, as a percentile band
+ * Returns { band, label } or null when there is no value
+ */
+export const benchmarkPosition = (benchmark, value) => {
+  const number = Number(value);
+  if (!benchmark || value == null || value === '' || !Number.isFinite(number)) return null;
+
+  // Values tied with many peers (e.g. everyone reports 0) read better as "at the median"
+  if (number === benchmark.p50) return { band: 'median', label: 'At the peer median' };
+  if (number < benchmark.p10) return { band: 'below_p10', label: 'Below the 10th percentile' };
+  if (number > benchmark.p90) return { band: 'above_p90', label: 'Above the 90th percentile' };
+
+  for (let i = 1; i < PERCENTILES.length; i++) {
+    const lower = PERCENTILES[i - 1];
+    const upper = PERCENTILES[i];
+    if (number <= benchmark[`p${upper}`]) {
+      return { band: `p${lower}_p${upper}`, label: `${lower}th–${upper}th percentile` };
+    }
+  }
+  return { band: 'above_p90', label: 'Above the 90th percentile' };
+};
+
+/**
+ * Display text for a benchmark value in the field's own format
+ * Accepts a benchmark or a benchmark row (anything with `type` and `format`)
+ */
+export const formatBenchmarkValue = (benchmark, value) => {
+  if (benchmark.type === FieldTypes.CURRENCY) return formatCalculatedValue(value, 'currency');
+  if (benchmark.type === FieldTypes.PERCENTAGE) return formatCalculatedValue(value, 'percentage');
+  if (benchmark.type === FieldTypes.RATIO) return formatCalculatedValue(value, benchmark.format || 'ratio');
+  return formatCalculatedValue(value, benchmark.format);
+};
+
+/**
+ * Benchmark rows for the current report's exports: one row per benchmarked field
+ */
+export const benchmarkRows = (bundle, indicators, responses) => {
+  if (!bundle) return [];
+
+  return indicators.flatMap(indicator => indicator.fields.flatMap(field => {
+    const benchmark = findBenchmark(bundle, indicator, field);
+    if (!benchmark) return [];
+    const value = responses[field.id] ?? null;
+    return [{
+      indicatorId: indicator.id,
+      indicatorTitle: indicator.title,
+      fieldId: field.id,
+      fieldLabel: field.label,
+      type: benchmark.type,
+      format: benchmark.format,
+      value,
+      groupSize: benchmark.count,
+      p10: benchmark.p10,
+      p25: benchmark.p25,
+      median: benchmark.p50,
+      p75: benchmark.p75,
+      p90: benchmark.p90,
+      position: benchmarkPosition(benchmark, value)?.label || null
+    }];
+  }));
+};
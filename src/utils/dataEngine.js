@@ -1,6 +1,10 @@
 // Standardized Data Collection Engine
 // This engine transforms subjective reporting into quantitative, comparable data
 
+import { DEFAULT_ORGANIZATIONS, UNKNOWN_ORGANIZATION, matchOrganization } from './organizationRegistry';
+import { compileFormula } from './formulaExpression';
+import { parseMethod } from './methodParser';
+
 /**
  * Field Types for Standardized Data Collection
  */
@@ -28,6 +32,86 @@ export const FieldTypes = {
   PERIOD: 'period'          // Reporting period selector
 };
 
+/**
+ * Check whether a field's value is computed rather than entered
+ */
+export const isCalculatedField = (field) => (
+  field.type === FieldTypes.CALCULATED || field.type === FieldTypes.RATIO
+);
+
+/**
+ * Period field values are stored as ISO 8601 intervals: "YYYY-MM-DD/YYYY-MM-DD"
+ */
+export const parsePeriodValue = (value) => {
+  const [start = '', end = ''] = typeof value === 'string' ? value.split('/') : [];
+  return { start, end };
+};
+
+export const toPeriodValue = (start, end) => (start || end ? `${start || ''}/${end || ''}` : null);
+
+/**
+ * "Other (specify)" answers
+ * Selecting the `other` option captures a linked free-text sub-response,
+ * stored in responses under `${field.id}_other`
+ */
+export const OTHER_OPTION_VALUE = 'other';
+export const OTHER_TEXT_MAX_LENGTH = 100;
+
+export const otherResponseId = (field) => `${field.id}_other`;
+
+export const hasOtherSelected = (field, value) => {
+  if (!(field.options || []).some(option => option.value === OTHER_OPTION_VALUE)) return false;
+  return Array.isArray(value) ? value.includes(OTHER_OPTION_VALUE) : value === OTHER_OPTION_VALUE;
+};
+
+/**
+ * The "Other" free text for a field, or null when "Other" is not selected
+ */
+export const getOtherText = (field, responses) => {
+  if (!hasOtherSelected(field, responses[field.id])) return null;
+  const text = responses[otherResponseId(field)];
+  return typeof text === 'string' && text.trim() !== '' ? text.trim() : null;
+};
+
+/**
+ * Non-responses
+ * Instead of answering, a field can be marked with a reason, stored in responses under
+ * `${field.id}_reason`. A reason counts as complete but leaves the value empty, so it
+ * never enters calculations or averages and is never mistaken for a real zero.
+ */
+export const NonResponseReasons = {
+  NOT_APPLICABLE: 'not_applicable',
+  PREFER_NOT_TO_DISCLOSE: 'prefer_not_to_disclose',
+  UNKNOWN: 'unknown'
+};
+
+export const NonResponseLabels = {
+  [NonResponseReasons.NOT_APPLICABLE]: 'Not applicable',
+  [NonResponseReasons.PREFER_NOT_TO_DISCLOSE]: 'Prefer not to disclose',
+  [NonResponseReasons.UNKNOWN]: 'Unknown'
+};
+
+export const nonResponseId = (field) => `${field.id}_reason`;
+
+/**
+ * The non-response reason for a field, or null when it has a value or no valid reason
+ */
+export const getNonResponseReason = (field, responses) => {
+  if (isCalculatedField(field) || !isEmptyValue(responses[field.id])) return null;
+  const reason = responses[nonResponseId(field)];
+  return Object.values(NonResponseReasons).includes(reason) ? reason : null;
+};
+
+/**
+ * Check whether a field has a value or a non-response reason
+ */
+export const isFieldAnswered = (field, responses) => (
+  !isEmptyValue(responses[field.id]) || getNonResponseReason(field, responses) != null
+);
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const isValidIsoDate = (value) => ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
 /**
  * Standardized Response Libraries
  * Pre-defined options ensure consistency across organizations
@@ -129,6 +213,12 @@ export const Calculations = {
     return Math.round((core / total) * 100);
   },
   
+  // Share of board meetings reaching majority attendance
+  attendanceRate: (attended, held) => {
+    if (!held || held === 0) return 0;
+    return Math.round((attended / held) * 100);
+  },
+  
   // Average calculation
   average: (values) => {
     const validValues = values.filter(v => v != null && !isNaN(v));
@@ -136,6 +226,12 @@ export const Calculations = {
     return Math.round((validValues.reduce((sum, val) => sum + val, 0) / validValues.length) * 100) / 100;
   },
   
+  // Scale a rate measured over a partial period to a full year
+  annualize: (value, factor) => {
+    if (!factor) return value;
+    return Math.round(value * factor);
+  },
+  
   // Growth rate calculation
   growthRate: (current, previous) => {
     if (!previous || previous === 0) return 0;
@@ -175,6 +271,20 @@ export const ValidationRules = {
     return null;
   },
   
+  // Dates must be real calendar dates (YYYY-MM-DD)
+  date: (value) => {
+    if (!isValidIsoDate(value)) return "Enter a valid date";
+    return null;
+  },
+  
+  // Periods need both dates, in order
+  period: (value) => {
+    const { start, end } = parsePeriodValue(value);
+    if (!isValidIsoDate(start) || !isValidIsoDate(end)) return "Enter both a start and an end date";
+    if (start > end) return "Period end must be after period start";
+    return null;
+  },
+  
   // Scale validation (1-5)
   scale: (value, min = 1, max = 5) => {
     if (value < min || value > max) {
@@ -184,6 +294,90 @@ export const ValidationRules = {
   }
 };
 
+/**
+ * Build a rule limiting numbers to a declared range
+ * Either bound may be omitted
+ */
+export const createRangeRule = (min, max) => (value) => {
+  if (min != null && value < min) return `Value must be at least ${min}`;
+  if (max != null && value > max) return `Value must be at most ${max}`;
+  return null;
+};
+
+/**
+ * Compile a calculated field's formula text (see formulaExpression.js)
+ * Formulas may refer to the given sibling field keys and call the `Calculations` helpers
+ * Throws FormulaError when the formula is invalid
+ */
+export const compileFieldFormula = (text, fieldKeys) => (
+  compileFormula(text, { fields: fieldKeys, helpers: Calculations })
+);
+
+/**
+ * Indicator Tier Labels
+ */
+export const TierLabels = {
+  1: 'Foundational',
+  2: 'Developmental',
+  3: 'Advanced'
+};
+
+/**
+ * Where an indicator's tier came from
+ */
+export const TierSources = {
+  EXPLICIT: 'explicit', // a Tier column or definition file
+  INFERRED: 'inferred'  // guessed from the indicator text by determineTier
+};
+
+/**
+ * Read a tier written as 1, "2", "Tier 3" or a tier label such as "Foundational"
+ * Returns 1, 2 or 3, or null when the value is blank or not a tier
+ */
+export const parseTier = (value) => {
+  if (value == null) return null;
+  const text = String(value).trim().toLowerCase();
+  if (!text) return null;
+  
+  const number = text.match(/^(?:tier\s*)?([123])(?:\b|$)/);
+  if (number) return Number(number[1]);
+  
+  const labelled = Object.entries(TierLabels).find(([, label]) => text === label.toLowerCase());
+  return labelled ? Number(labelled[0]) : null;
+};
+
+/**
+ * Consistency Rule Severities
+ * Errors block report generation; warnings are shown but do not block
+ */
+export const RuleSeverity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * Keyword rules used by createFieldConfig, in the order they are tried
+ * Each config it returns names the rule that matched in `rule`
+ */
+export const FieldConfigRules = {
+  staffTurnover: 'Staff turnover / retention (title)',
+  fundingMix: 'Core funding or funding ratio (title)',
+  boardAttendance: 'Board meeting attendance (title)',
+  multiPart: 'Yes/No question with "Check all that apply" details (method)',
+  wellnessBenefits: 'Employee wellness / benefits checklist',
+  yesNo: 'Yes/No question (method)',
+  checkAllThatApply: '"Check all that apply" or ☐ options (method)',
+  difficultyScale: 'Difficulty options (method)',
+  satisfactionScale: 'Satisfaction rating',
+  ratingScale: 'Rating on a numeric scale such as 1-10 (method)',
+  boardCompensation: 'Board compensation (title)',
+  collaborationCount: 'Collaboration meetings count',
+  collaborationTypes: 'Collaboration activities (title)',
+  countQuestion: '"How many" / "number of" (method)',
+  percentage: 'Percentage (method)',
+  textFallback: 'No rule matched: short text'
+};
+
 /**
  * Field Configuration Factory
  * Creates standardized field configurations based on indicator patterns
@@ -191,10 +385,13 @@ export const ValidationRules = {
 export const createFieldConfig = (indicatorName, measurementMethod) => {
   const name = indicatorName.toLowerCase();
   const method = measurementMethod?.toLowerCase() || '';
+  // Markers and option labels are read from the original text; see methodParser
+  const parsed = parseMethod(measurementMethod);
   
   // Staff turnover indicators
   if (name.includes('turnover') || name.includes('retention')) {
     return {
+      rule: 'staffTurnover',
       type: 'calculated_group',
       fields: [
         {
@@ -211,6 +408,13 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
           validation: [ValidationRules.required, ValidationRules.staffCount],
           placeholder: 'e.g., 10'
         },
+        {
+          key: 'staffHired',
+          type: FieldTypes.NUMBER,
+          label: 'Number of staff hired during period',
+          validation: [ValidationRules.required, ValidationRules.staffCount],
+          placeholder: 'e.g., 1'
+        },
         {
           key: 'staffLeft',
           type: FieldTypes.NUMBER,
@@ -222,14 +426,43 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
       calculations: [
         {
           key: 'averageStaff',
-          formula: (data) => Math.round((data.staffAtStart + data.staffAtEnd) / 2),
+          formula: 'round((staffAtStart + staffAtEnd) / 2)',
           label: 'Average staff count'
         },
         {
           key: 'turnoverRate',
-          formula: (data) => Calculations.turnoverRate(data.staffLeft, data.averageStaff),
+          formula: 'turnoverRate(staffLeft, averageStaff)',
           label: 'Turnover rate (%)',
           format: 'percentage'
+        },
+        {
+          key: 'annualizedTurnoverRate',
+          formula: 'annualize(turnoverRate, annualizationFactor)',
+          label: 'Annualized turnover rate (%)',
+          format: 'percentage'
+        }
+      ],
+      rules: [
+        {
+          key: 'leftWithinHeadcount',
+          severity: RuleSeverity.ERROR,
+          requires: ['staffAtStart', 'staffHired', 'staffLeft'],
+          check: (data) => (data.staffLeft > data.staffAtStart + data.staffHired
+            ? `${data.staffLeft} staff left, but only ${data.staffAtStart + data.staffHired} were employed during the period`
+            : null),
+          explanation: 'Staff who left cannot exceed staff at period start plus staff hired during the period.'
+        },
+        {
+          key: 'headcountBalances',
+          severity: RuleSeverity.WARNING,
+          requires: ['staffAtStart', 'staffAtEnd', 'staffHired', 'staffLeft'],
+          check: (data) => {
+            const expected = data.staffAtStart + data.staffHired - data.staffLeft;
+            return data.staffAtEnd !== expected
+              ? `Staff at period end (${data.staffAtEnd}) does not match start + hired - left (${expected})`
+              : null;
+          },
+          explanation: 'Check for transfers, contract changes or counting differences between the two dates.'
         }
       ]
     };
@@ -238,6 +471,7 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
   // Funding indicators
   if (name.includes('funding') && (name.includes('ratio') || name.includes('core'))) {
     return {
+      rule: 'fundingMix',
       type: 'calculated_group',
       fields: [
         {
@@ -258,65 +492,142 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
       calculations: [
         {
           key: 'totalFunding',
-          formula: (data) => data.coreFunding + data.projectFunding,
+          formula: 'coreFunding + projectFunding',
           label: 'Total funding ($)',
           format: 'currency'
         },
         {
           key: 'corePercentage',
-          formula: (data) => Calculations.corePercentage(data.coreFunding, data.totalFunding),
+          formula: 'corePercentage(coreFunding, totalFunding)',
           label: 'Core funding percentage (%)',
           format: 'percentage'
         },
         {
           key: 'fundingRatio',
-          formula: (data) => Calculations.fundingRatio(data.projectFunding, data.coreFunding),
+          formula: 'fundingRatio(projectFunding, coreFunding)',
           label: 'Funding leverage ratio',
           format: 'ratio'
         }
+      ],
+      rules: [
+        {
+          key: 'ratioNeedsCoreFunding',
+          severity: RuleSeverity.WARNING,
+          requires: ['coreFunding', 'projectFunding'],
+          check: (data) => (data.coreFunding === 0 && data.projectFunding > 0
+            ? 'No core funding was reported, so the leverage ratio and core percentage show 0'
+            : null),
+          explanation: 'A leverage ratio is only meaningful when core funding is greater than zero. Confirm that no core funding was received.'
+        },
+        {
+          key: 'someFundingReported',
+          severity: RuleSeverity.WARNING,
+          requires: ['coreFunding', 'projectFunding'],
+          check: (data) => (data.coreFunding === 0 && data.projectFunding === 0
+            ? 'No funding of any kind was reported for the period'
+            : null),
+          explanation: 'Confirm that the organization received no core or project funding during the period.'
+        }
+      ]
+    };
+  }
+  
+  // Board meeting attendance indicators
+  if (name.includes('board') && (name.includes('meeting') || name.includes('attendance'))) {
+    return {
+      rule: 'boardAttendance',
+      type: 'calculated_group',
+      fields: [
+        {
+          key: 'meetingsHeld',
+          type: FieldTypes.NUMBER,
+          label: 'Number of board meetings held',
+          validation: [ValidationRules.required, ValidationRules.staffCount],
+          placeholder: 'e.g., 10'
+        },
+        {
+          key: 'meetingsWithMajority',
+          type: FieldTypes.NUMBER,
+          label: 'Number of meetings attended by a majority of board members',
+          validation: [ValidationRules.required, ValidationRules.staffCount],
+          placeholder: 'e.g., 8'
+        }
+      ],
+      calculations: [
+        {
+          key: 'attendanceRate',
+          formula: 'attendanceRate(meetingsWithMajority, meetingsHeld)',
+          label: 'Meetings with majority attendance (%)',
+          format: 'percentage'
+        }
+      ],
+      rules: [
+        {
+          key: 'attendedWithinHeld',
+          severity: RuleSeverity.ERROR,
+          requires: ['meetingsHeld', 'meetingsWithMajority'],
+          check: (data) => (data.meetingsWithMajority > data.meetingsHeld
+            ? `${data.meetingsWithMajority} meetings reported with majority attendance, but only ${data.meetingsHeld} were held`
+            : null),
+          explanation: 'Meetings attended by a majority cannot exceed the number of meetings held.'
+        }
       ]
     };
   }
   
   // Multi-part questions (like Universal Indicators)
-  if (method.includes('(Yes/No)') && method.includes('Check all that apply')) {
+  if (parsed.hasYesNo && parsed.hasCheckAll) {
     return {
+      rule: 'multiPart',
       type: 'multi_part',
       fields: [
         {
           key: 'hasProgram',
           type: FieldTypes.RADIO,
-          label: extractYesNoQuestion(method),
+          label: parsed.yesNoQuestion || 'Does your organization have this?',
           options: StandardOptions.yesNo,
           validation: [ValidationRules.required]
         },
         {
           key: 'details',
           type: FieldTypes.CHECKBOX,
-          label: extractCheckboxQuestion(method),
-          options: extractCheckboxOptionsFromMethod(method),
+          label: parsed.checkAllQuestion || 'Which of the following apply?',
+          options: checkboxOptions(parsed, isBenefitsText(`${name} ${method}`) ? StandardOptions.employeeBenefits : StandardOptions.collaborationTypes),
           validation: [ValidationRules.required],
           dependsOn: 'hasProgram',
           dependsOnValue: 'yes'
         }
+      ],
+      rules: [
+        {
+          key: 'detailsRequireYes',
+          severity: RuleSeverity.WARNING,
+          requires: ['hasProgram', 'details'],
+          check: (data) => (data.hasProgram === 'no'
+            ? 'Details are still recorded even though "No" was selected'
+            : null),
+          explanation: 'Hidden details are excluded from the report. Switch back to "Yes" if they still apply, or clear them.'
+        }
       ]
     };
   }
 
   // Employee wellness/benefits questions
-  if (name.includes('wellness') || name.includes('benefit')) {
-    if (method.includes('Check all that apply')) {
+  if (isBenefitsText(name)) {
+    if (parsed.hasCheckAll) {
       return {
+        rule: 'wellnessBenefits',
         type: FieldTypes.CHECKBOX,
-        options: StandardOptions.employeeBenefits,
+        options: checkboxOptions(parsed, StandardOptions.employeeBenefits),
         validation: [ValidationRules.required]
       };
     }
   }
 
   // Yes/No questions
-  if (method.includes('yes/no') || method.includes('(yes / no)') || method.includes('(Yes/No)')) {
+  if (parsed.hasYesNo) {
     return {
+      rule: 'yesNo',
       type: FieldTypes.RADIO,
       options: StandardOptions.yesNo,
       validation: [ValidationRules.required]
@@ -324,19 +635,19 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
   }
   
   // Checkbox questions
-  if (method.includes('check all that apply') || method.includes('☐')) {
-    // Extract options from measurement method
-    const options = extractCheckboxOptions(measurementMethod);
+  if (parsed.hasCheckAll || parsed.options.length > 0) {
     return {
+      rule: 'checkAllThatApply',
       type: FieldTypes.CHECKBOX,
-      options: options.length > 0 ? options : StandardOptions.collaborationTypes,
+      options: checkboxOptions(parsed, StandardOptions.collaborationTypes),
       validation: [ValidationRules.required]
     };
   }
   
   // Difficulty scales
-  if (method.includes('difficult') && method.includes('options:')) {
+  if (method.includes('difficult') && parsed.listOptions.length > 0) {
     return {
+      rule: 'difficultyScale',
       type: FieldTypes.RADIO,
       options: StandardOptions.difficulty,
       validation: [ValidationRules.required]
@@ -346,15 +657,29 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
   // Satisfaction scales
   if (name.includes('satisfaction') || method.includes('satisfied')) {
     return {
+      rule: 'satisfactionScale',
       type: FieldTypes.SCALE,
-      scale: StandardOptions.satisfactionScale,
-      validation: [ValidationRules.required]
+      scale: parsed.scale && (parsed.scale.min !== 1 || parsed.scale.max !== 5)
+        ? numericScale(parsed.scale)
+        : StandardOptions.satisfactionScale,
+      validation: [ValidationRules.required, ValidationRules.scale]
+    };
+  }
+
+  // Other ratings, e.g. "Rate from 1 to 10"
+  if (parsed.scale && /\b(rate|rating|scale)\b/.test(method)) {
+    return {
+      rule: 'ratingScale',
+      type: FieldTypes.SCALE,
+      scale: numericScale(parsed.scale),
+      validation: [ValidationRules.required, ValidationRules.scale]
     };
   }
   
   // Board compensation
   if (name.includes('board') && name.includes('compensation')) {
     return {
+      rule: 'boardCompensation',
       type: FieldTypes.CHECKBOX,
       options: StandardOptions.boardCompensation,
       validation: [ValidationRules.required]
@@ -365,6 +690,7 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
   if (name.includes('collaboration') || name.includes('coalition')) {
     if (method.includes('how many')) {
       return {
+        rule: 'collaborationCount',
         type: FieldTypes.NUMBER,
         label: 'Number of meetings/events attended',
         validation: [ValidationRules.required, ValidationRules.staffCount],
@@ -372,6 +698,7 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
       };
     }
     return {
+      rule: 'collaborationTypes',
       type: FieldTypes.CHECKBOX,
       options: StandardOptions.collaborationTypes,
       validation: [ValidationRules.required]
@@ -381,6 +708,7 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
   // Generic number input
   if (method.includes('how many') || method.includes('number of')) {
     return {
+      rule: 'countQuestion',
       type: FieldTypes.NUMBER,
       validation: [ValidationRules.required, ValidationRules.staffCount],
       placeholder: 'Enter number'
@@ -390,6 +718,7 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
   // Generic percentage
   if (method.includes('percentage') || method.includes('%')) {
     return {
+      rule: 'percentage',
       type: FieldTypes.PERCENTAGE,
       validation: [ValidationRules.required, ValidationRules.percentage],
       placeholder: 'e.g., 25'
@@ -398,6 +727,7 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
   
   // Fallback to short text (discouraged)
   return {
+    rule: 'textFallback',
     type: FieldTypes.TEXT_SHORT,
     maxLength: 100,
     validation: [ValidationRules.required],
@@ -406,294 +736,405 @@ export const createFieldConfig = (indicatorName, measurementMethod) => {
   };
 };
 
+const OTHER_OPTION_PATTERN = /^other\b/i;
+
+const isBenefitsText = (text) => text.includes('wellness') || text.includes('benefit');
+
 /**
- * Extract checkbox options from measurement method text
+ * Numbered scale options for a parsed "1-10" style range
  */
-const extractCheckboxOptions = (measurementMethod) => {
-  if (!measurementMethod) return [];
-  
-  const options = [];
-  const lines = measurementMethod.split('\n');
-  
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    if (trimmedLine.startsWith('☐')) {
-      const optionText = trimmedLine.substring(2).trim();
-      if (optionText && optionText !== 'Other (please specify)') {
-        options.push({
-          value: optionText.toLowerCase().replace(/\s+/g, '_'),
-          label: optionText
-        });
-      }
-    }
-  }
-  
-  // Always add "Other" option for flexibility
-  if (options.length > 0) {
-    options.push({ value: 'other', label: 'Other (specify)' });
-  }
-  
-  return options;
+const numericScale = ({ min, max }) => (
+  Array.from({ length: max - min + 1 }, (_, i) => ({ value: min + i, label: String(min + i) }))
+);
+
+const normalizeOptionText = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Standard options a workplan option can be matched against, so the same answer
+ * is stored under the same value across organizations
+ */
+const CATALOGUE_OPTIONS = [
+  ...StandardOptions.employeeBenefits,
+  ...StandardOptions.collaborationTypes,
+  ...StandardOptions.boardCompensation,
+  ...StandardOptions.disclosureChannels,
+  ...StandardOptions.auditTypes
+].filter(option => option.value !== OTHER_OPTION_VALUE);
+
+/**
+ * Match a workplan option label to a standard option
+ * "Co-delivered programming" matches "Co-delivered programming or services"
+ */
+const findStandardOption = (label) => {
+  const text = normalizeOptionText(label);
+  return CATALOGUE_OPTIONS.find(option => {
+    const standard = normalizeOptionText(option.label);
+    return standard === text || standard.startsWith(`${text} `);
+  });
 };
 
 /**
- * Extract Yes/No question from Universal Indicator format
+ * Checkbox options from the method's ☐ list, or `fallback` when it lists none
  */
-const extractYesNoQuestion = (method) => {
-  const match = method.match(/^([^?]*\?)\s*\(Yes\/No\)/);
-  return match ? match[1] : 'Does your organization have this?';
+const checkboxOptions = (parsed, fallback) => {
+  const options = [];
+
+  parsed.options.forEach(label => {
+    // "Other" is always appended below with a free-text sub-response
+    if (OTHER_OPTION_PATTERN.test(label)) return;
+
+    const option = findStandardOption(label) || {
+      value: normalizeOptionText(label).replace(/ /g, '_'),
+      label
+    };
+    if (option.value && !options.some(existing => existing.value === option.value)) options.push(option);
+  });
+
+  if (options.length === 0) return fallback;
+  return [...options, { value: OTHER_OPTION_VALUE, label: 'Other (specify)' }];
 };
 
 /**
- * Extract checkbox question from Universal Indicator format
+ * Field types whose answers are directly comparable across organizations
  */
-const extractCheckboxQuestion = (method) => {
-  const match = method.match(/Which of the following[^?]*\?|What[^?]*\?/);
-  return match ? match[0] : 'Which of the following apply?';
+const STANDARDIZED_TYPES = [
+  FieldTypes.NUMBER,
+  FieldTypes.CURRENCY,
+  FieldTypes.PERCENTAGE,
+  FieldTypes.SCALE,
+  FieldTypes.RADIO,
+  FieldTypes.CHECKBOX,
+  FieldTypes.DROPDOWN,
+  FieldTypes.DATE,
+  FieldTypes.PERIOD
+];
+
+/**
+ * Answers that lower data quality, and why
+ */
+export const QualityFlags = {
+  TEXT_FALLBACK: 'text_fallback', // short text, because no keyword rule matched the indicator
+  OTHER: 'other'                  // "Other (specify)" with free text
+};
+
+export const QualityFlagLabels = {
+  [QualityFlags.TEXT_FALLBACK]: 'Short text answer (no structured field matched this indicator)',
+  [QualityFlags.OTHER]: '"Other" answer with free text'
 };
 
+const qualityScores = ({ totalFields, completedFields, standardizedFields }) => ({
+  completeness: totalFields > 0 ? Math.round((completedFields / totalFields) * 100) : 0,
+  standardization: completedFields > 0 ? Math.round((standardizedFields / completedFields) * 100) : 0,
+  overallScore: totalFields > 0 ? Math.round(((completedFields * 0.6 + standardizedFields * 0.4) / totalFields) * 100) : 0
+});
+
 /**
- * Extract checkbox options from method text (enhanced)
+ * Data quality of one indicator's answers
+ * Counts visible, non-calculated fields. Structured answers and non-response reasons earn
+ * full standardization credit; "Other (specify)" answers mix a structured choice with free
+ * text and earn half.
+ *
+ * Returns {
+ *   indicatorId, title, totalFields, completedFields, standardizedFields,
+ *   completeness, standardization, overallScore (percentages),
+ *   semiStructured: number of "Other" answers,
+ *   flags: [{ fieldId, label, flag, otherText? }]
+ * }
  */
-const extractCheckboxOptionsFromMethod = (method) => {
-  // First try standard checkbox extraction
-  const standardOptions = extractCheckboxOptions(method);
-  if (standardOptions.length > 0) return standardOptions;
-  
-  // Try to extract from parentheses format: (Check all that apply): ☐ Option1 ☐ Option2
-  const options = [];
-  const checkboxPattern = /☐\s*([^☐]+?)(?=☐|$)/g;
-  let match;
-  
-  while ((match = checkboxPattern.exec(method)) !== null) {
-    const optionText = match[1].trim();
-    if (optionText && !optionText.includes('Other (please specify)')) {
-      options.push({
-        value: optionText.toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+/g, '_'),
-        label: optionText
-      });
+export const calculateIndicatorQuality = (indicator, responses) => {
+  const counts = { totalFields: 0, completedFields: 0, standardizedFields: 0 };
+  const flags = [];
+  let semiStructured = 0;
+
+  indicator.fields.forEach(field => {
+    if (isCalculatedField(field) || !isFieldVisible(field, responses)) return;
+    counts.totalFields++;
+    if (!isFieldAnswered(field, responses)) return;
+    counts.completedFields++;
+
+    if (getNonResponseReason(field, responses)) {
+      counts.standardizedFields++;
+      return;
     }
-  }
-  
-  // Add "Other" option
-  if (options.length > 0) {
-    options.push({ value: 'other', label: 'Other (specify)' });
-  }
-  
-  // Fallback to employee benefits if this looks like a benefits question
-  if (options.length === 0 && (method.toLowerCase().includes('benefit') || method.toLowerCase().includes('wellness'))) {
-    return StandardOptions.employeeBenefits;
-  }
-  
-  return options.length > 0 ? options : StandardOptions.collaborationTypes;
+
+    const otherText = getOtherText(field, responses);
+    if (otherText) {
+      semiStructured++;
+      counts.standardizedFields += 0.5;
+      flags.push({ fieldId: field.id, label: field.label, flag: QualityFlags.OTHER, otherText });
+      return;
+    }
+
+    if (STANDARDIZED_TYPES.includes(field.type)) {
+      counts.standardizedFields++;
+    } else if (field.type === FieldTypes.TEXT_SHORT && indicator.rule === 'textFallback') {
+      flags.push({ fieldId: field.id, label: field.label, flag: QualityFlags.TEXT_FALLBACK });
+    }
+  });
+
+  return {
+    indicatorId: indicator.id,
+    title: indicator.title,
+    ...counts,
+    ...qualityScores(counts),
+    semiStructured,
+    flags
+  };
 };
 
 /**
  * Data Quality Scoring
- * Scores the completeness and standardization level of responses
+ * Scores the completeness and standardization level of a report's responses
+ *
+ * Returns {
+ *   totalFields, completedFields, standardizedFields,
+ *   completeness, standardization, overallScore (percentages),
+ *   semiStructured, flagCount,
+ *   indicators: [calculateIndicatorQuality(...)] in report order
+ * }
  */
-export const calculateDataQuality = (responses) => {
-  let totalFields = 0;
-  let completedFields = 0;
-  let standardizedFields = 0;
-  
-  Object.entries(responses).forEach(([key, response]) => {
-    totalFields++;
-    
-    if (response.value != null && response.value !== '') {
-      completedFields++;
-      
-      // Higher score for structured data types
-      if ([
-        FieldTypes.NUMBER, 
-        FieldTypes.CURRENCY, 
-        FieldTypes.RADIO, 
-        FieldTypes.CHECKBOX,
-        FieldTypes.SCALE,
-        FieldTypes.CALCULATED
-      ].includes(response.type)) {
-        standardizedFields++;
-      }
-    }
-  });
-  
+export const calculateDataQuality = (indicators, responses) => {
+  const breakdown = indicators.map(indicator => calculateIndicatorQuality(indicator, responses));
+  const sum = (key) => breakdown.reduce((total, entry) => total + entry[key], 0);
+  const counts = {
+    totalFields: sum('totalFields'),
+    completedFields: sum('completedFields'),
+    standardizedFields: sum('standardizedFields')
+  };
+
   return {
-    completeness: totalFields > 0 ? Math.round((completedFields / totalFields) * 100) : 0,
-    standardization: completedFields > 0 ? Math.round((standardizedFields / completedFields) * 100) : 0,
-    overallScore: totalFields > 0 ? Math.round(((completedFields * 0.6 + standardizedFields * 0.4) / totalFields) * 100) : 0
+    ...counts,
+    ...qualityScores(counts),
+    semiStructured: sum('semiStructured'),
+    flagCount: breakdown.reduce((total, entry) => total + entry.flags.length, 0),
+    indicators: breakdown
   };
 };
 
 /**
  * Organization Detection Engine
- * Automatically detects organization from CSV data patterns
+ * Detects the organization from CSV data using the organization registry
+ * See `matchOrganization` for the matching rules and confidence scores
  */
-export const detectOrganization = (csvData) => {
+export const detectOrganization = (csvData, { fileName = '', registry = DEFAULT_ORGANIZATIONS } = {}) => {
   if (!csvData || csvData.length === 0) return null;
   
-  // Extract potential organization codes from CSV headers or data
-  const firstRow = csvData[0];
-  const allText = JSON.stringify(csvData).toLowerCase();
-  
-  // Known organization patterns
-  const organizations = {
-    'VFWC': { name: 'Victoria Family Works Centre', code: 'VFWC' },
-    'WAWC': { name: 'Women\'s Action Women\'s Centre', code: 'WAWC' },
-    'VCWS': { name: 'Victoria Community Women\'s Shelter', code: 'VCWS' },
-    'CWWA': { name: 'Community Women\'s Worker Association', code: 'CWWA' },
-    'YWCA': { name: 'YWCA Victoria', code: 'YWCA' }
+  const match = matchOrganization({ csvData, fileName, registry });
+  return match.organization || UNKNOWN_ORGANIZATION;
+};
+
+/**
+ * Resolve an indicator's tier and descriptive metadata
+ * An explicit tier is used when given; otherwise it is inferred from the text
+ */
+export const resolveIndicatorMetadata = ({ title, method = '', tier, tierSource, category, owner, frequency }) => {
+  const explicitTier = parseTier(tier);
+  
+  return {
+    tier: explicitTier ?? determineTier(title.trim(), method || ''),
+    tierSource: explicitTier ? tierSource || TierSources.EXPLICIT : TierSources.INFERRED,
+    category: String(category ?? '').trim() || null,
+    owner: String(owner ?? '').trim() || null,
+    frequency: String(frequency ?? '').trim() || null
   };
+};
+
+/**
+ * Short "Category: …" style descriptions of an indicator's metadata, for display
+ */
+export const describeIndicatorMetadata = (indicator) => [
+  indicator.category && `Category: ${indicator.category}`,
+  indicator.owner && `Owner: ${indicator.owner}`,
+  indicator.frequency && `Frequency: ${indicator.frequency}`
+].filter(Boolean);
+
+/**
+ * Check an indicator against the form's tier and category filter
+ * `tier` and `category` are 'all' or the value to keep; '' keeps uncategorized indicators
+ */
+export const matchesIndicatorFilter = (indicator, { tier = 'all', category = 'all' } = {}) => (
+  (tier === 'all' || indicator.tier === Number(tier)) &&
+  (category === 'all' || (indicator.category || '') === category)
+);
+
+/**
+ * Build a single standardized indicator from its workplan text
+ * Shared by CSV import and re-opening previously exported reports
+ */
+export const buildIndicator = ({ id, title, method = '', notes = '', ...metadata }) => {
+  const indicatorText = title.trim();
+  const methodText = method || '';
   
-  // Search for organization codes in the data
-  for (const [code, org] of Object.entries(organizations)) {
-    if (allText.includes(code.toLowerCase())) {
-      return org;
-    }
+  const indicator = {
+    id,
+    title: indicatorText,
+    description: notes,
+    method: methodText,
+    ...resolveIndicatorMetadata({ title, method: methodText, ...metadata }),
+    fields: []
+  };
+  
+  // Create standardized fields based on measurement method
+  const fieldConfig = createFieldConfig(indicatorText, methodText);
+  
+  // The keyword rule that chose the fields (see FieldConfigRules)
+  indicator.rule = fieldConfig.rule;
+  
+  // Indicator-level consistency rules (calculated_group and multi_part only)
+  if (fieldConfig.rules) {
+    indicator.rules = fieldConfig.rules;
   }
   
-  // Fallback: try to extract from filename or headers
-  if (firstRow && typeof firstRow === 'object') {
-    for (const key of Object.keys(firstRow)) {
-      const keyUpper = key.toUpperCase();
-      if (organizations[keyUpper]) {
-        return organizations[keyUpper];
-      }
-    }
+  if (fieldConfig.type === 'calculated_group') {
+    // Complex calculated indicators
+    fieldConfig.fields.forEach(field => {
+      indicator.fields.push({
+        id: `${indicator.id}_${field.key}`,
+        key: field.key,
+        type: field.type,
+        label: field.label,
+        description: field.description,
+        required: true,
+        placeholder: field.placeholder,
+        validation: field.validation
+      });
+    });
+    
+    // Add calculated fields; formulas are kept as text so exports can reproduce them
+    const fieldKeys = [
+      ...fieldConfig.fields.map(field => field.key),
+      ...(fieldConfig.calculations || []).map(calc => calc.key)
+    ];
+    fieldConfig.calculations?.forEach(calc => {
+      const compiled = compileFieldFormula(calc.formula, fieldKeys);
+      indicator.fields.push({
+        id: `${indicator.id}_${calc.key}`,
+        key: calc.key,
+        type: FieldTypes.CALCULATED,
+        label: calc.label,
+        inputs: compiled.inputs,
+        requiresPeriod: compiled.requiresPeriod || undefined,
+        formula: compiled.text,
+        format: calc.format,
+        unit: calc.format === 'percentage' ? '%' : (calc.format === 'currency' ? '$' : ''),
+        required: false
+      });
+    });
+  } else if (fieldConfig.type === 'multi_part') {
+    // Multi-part indicators (like Universal Indicators)
+    fieldConfig.fields.forEach(field => {
+      indicator.fields.push({
+        id: `${indicator.id}_${field.key}`,
+        key: field.key,
+        type: field.type,
+        label: field.label,
+        options: field.options,
+        required: field.validation?.some(v => v === ValidationRules.required) || false,
+        dependsOn: field.dependsOn ? `${indicator.id}_${field.dependsOn}` : undefined,
+        dependsOnValue: field.dependsOnValue,
+        validation: field.validation
+      });
+    });
+  } else {
+    // Simple field
+    indicator.fields.push({
+      id: `${indicator.id}_main`,
+      key: 'main',
+      type: fieldConfig.type,
+      label: indicatorText,
+      description: methodText,
+      options: fieldConfig.options || fieldConfig.scale,
+      required: true,
+      placeholder: fieldConfig.placeholder,
+      validation: fieldConfig.validation,
+      maxLength: fieldConfig.maxLength,
+      warning: fieldConfig.warning
+    });
   }
   
-  return { name: 'Organization', code: 'ORG' };
+  return indicator;
 };
 
 /**
- * Generate Standardized Fields from CSV Data
- * Transforms CSV indicator data into standardized form fields
+ * Guess the indicator, method and notes columns of a workplan CSV (flexible matching)
+ * plus the optional ID, tier, category, owner and frequency metadata columns
+ * Columns that cannot be found are undefined
  */
-export const generateStandardizedFields = (csvData) => {
-  if (!csvData || csvData.length === 0) return [];
-  
-  const indicators = [];
-  
-  // Get first row to check column names
-  const firstRow = csvData[0];
-  if (!firstRow) return [];
-  
-  console.log('CSV headers:', Object.keys(firstRow));
-  
-  // Find indicator and method column names (flexible matching)
-  const indicatorCol = Object.keys(firstRow).find(key => 
+export const findIndicatorColumns = (headers) => {
+  const metadataCol = (...names) => headers.find(key => names.includes(key.trim().toLowerCase()));
+  const metadataColumns = {
+    idCol: metadataCol('id', 'indicator id', 'indicator_id', 'indicator code', 'code'),
+    tierCol: metadataCol('tier', 'indicator tier'),
+    categoryCol: metadataCol('category', 'indicator category', 'theme'),
+    ownerCol: metadataCol('owner', 'responsible', 'responsible person', 'indicator owner'),
+    frequencyCol: metadataCol('frequency', 'reporting frequency', 'collection frequency')
+  };
+  // "Indicator ID" and "Indicator tier" are not the indicator name
+  const isMetadata = (key) => Object.values(metadataColumns).includes(key);
+
+  const indicatorCol = headers.find(key => !isMetadata(key) && (
     key.toLowerCase().includes('indicator') || 
     key.toLowerCase().includes('outcome') ||
     key.toLowerCase().includes('measure')
-  );
+  ));
   
-  const methodCol = Object.keys(firstRow).find(key => 
+  const methodCol = headers.find(key => 
     key.toLowerCase().includes('method') || 
     key.toLowerCase().includes('how') ||
     key.toLowerCase().includes('measurement') ||
     key.toLowerCase().includes('approach')
   );
   
-  const notesCol = Object.keys(firstRow).find(key => 
+  const notesCol = headers.find(key => 
     key.toLowerCase().includes('note') || 
     key.toLowerCase().includes('description') ||
     key.toLowerCase().includes('comment')
   );
   
-  console.log('Detected columns:', { indicatorCol, methodCol, notesCol });
+  return {
+    indicatorCol,
+    methodCol,
+    notesCol,
+    ...metadataColumns
+  };
+};
+
+/**
+ * Find the columns of a workplan CSV from its first row
+ * Throws when there is no indicator column
+ */
+export const detectIndicatorColumns = (firstRow) => {
+  const headers = Object.keys(firstRow);
+  const columns = findIndicatorColumns(headers);
   
-  if (!indicatorCol) {
-    throw new Error(`No indicator column found. Available columns: ${Object.keys(firstRow).join(', ')}`);
+  if (!columns.indicatorCol) {
+    throw new Error(`No indicator column found. Available columns: ${headers.join(', ')}`);
   }
   
-  // Parse CSV data to extract indicators
-  csvData.forEach((row, index) => {
-    const indicatorText = row[indicatorCol];
-    const methodText = row[methodCol] || '';
-    
-    if (!indicatorText || indicatorText.trim() === '') return;
-    
-    const indicator = {
-      id: `indicator_${index}`,
-      title: indicatorText.trim(),
-      description: row[notesCol] || '',
-      tier: determineTier(indicatorText, methodText),
-      fields: []
-    };
-    
-    // Create standardized fields based on measurement method
-    const fieldConfig = createFieldConfig(indicatorText, methodText);
-    
-    if (fieldConfig.type === 'calculated_group') {
-      // Complex calculated indicators
-      fieldConfig.fields.forEach(field => {
-        indicator.fields.push({
-          id: `${indicator.id}_${field.key}`,
-          type: field.type,
-          label: field.label,
-          description: field.description,
-          required: true,
-          placeholder: field.placeholder,
-          validation: field.validation
-        });
-      });
-      
-      // Add calculated fields
-      fieldConfig.calculations?.forEach(calc => {
-        indicator.fields.push({
-          id: `${indicator.id}_${calc.key}`,
-          type: FieldTypes.CALCULATED,
-          label: calc.label,
-          formula: calc.formula,
-          format: calc.format,
-          unit: calc.format === 'percentage' ? '%' : (calc.format === 'currency' ? '$' : ''),
-          required: false
-        });
-      });
-    } else if (fieldConfig.type === 'multi_part') {
-      // Multi-part indicators (like Universal Indicators)
-      fieldConfig.fields.forEach(field => {
-        indicator.fields.push({
-          id: `${indicator.id}_${field.key}`,
-          type: field.type,
-          label: field.label,
-          options: field.options,
-          required: field.validation?.some(v => v === ValidationRules.required) || false,
-          dependsOn: field.dependsOn ? `${indicator.id}_${field.dependsOn}` : undefined,
-          dependsOnValue: field.dependsOnValue,
-          validation: field.validation
-        });
-      });
-    } else {
-      // Simple field
-      indicator.fields.push({
-        id: `${indicator.id}_main`,
-        type: fieldConfig.type,
-        label: indicatorText,
-        description: methodText,
-        options: fieldConfig.options || fieldConfig.scale,
-        required: true,
-        placeholder: fieldConfig.placeholder,
-        validation: fieldConfig.validation,
-        maxLength: fieldConfig.maxLength,
-        warning: fieldConfig.warning
-      });
-    }
-    
-    indicators.push(indicator);
-  });
-  
-  return indicators;
+  return columns;
 };
 
+/**
+ * Read the tier and metadata cells of a workplan row
+ * `columns` is the result of detectIndicatorColumns
+ */
+export const readIndicatorMetadata = (row, columns) => ({
+  tier: columns.tierCol ? row[columns.tierCol] : undefined,
+  category: columns.categoryCol ? row[columns.categoryCol] : undefined,
+  owner: columns.ownerCol ? row[columns.ownerCol] : undefined,
+  frequency: columns.frequencyCol ? row[columns.frequencyCol] : undefined
+});
+
 /**
  * Determine indicator tier based on content analysis
  */
-const determineTier = (indicator, method) => {
+export const determineTier = (indicator, method) => {
   const text = `${indicator} ${method}`.toLowerCase();
   
   // Tier 1 (foundational): Basic operational metrics
   if (text.includes('staff') && text.includes('turnover')) return 1;
-  if (text.includes('funding') && (text.includes('core') || text.includes('ratio'))) return 1;
+  // Whole words only: "collaboration" contains "ratio"
+  if (text.includes('funding') && /\b(core|ratios?)\b/.test(text)) return 1;
   if (text.includes('board') && text.includes('meeting')) return 1;
   
   // Tier 2 (developmental): Growth and improvement metrics
@@ -709,6 +1150,319 @@ const determineTier = (indicator, method) => {
   return 2; // Default to tier 2
 };
 
+/**
+ * Order an indicator's calculated fields so every calculation runs after the
+ * calculations it takes as inputs (e.g. averageStaff before turnoverRate)
+ * Throws when calculations depend on each other in a loop
+ */
+export const orderCalculations = (calculatedFields) => {
+  const byKey = new Map(calculatedFields.map(field => [field.key, field]));
+  const ordered = [];
+  const state = new Map(); // key -> 'visiting' | 'done'
+  
+  const visit = (field) => {
+    if (state.get(field.key) === 'done') return;
+    if (state.get(field.key) === 'visiting') {
+      throw new Error(`Circular calculation dependency involving "${field.key}"`);
+    }
+    
+    state.set(field.key, 'visiting');
+    (field.inputs || []).forEach(inputKey => {
+      if (byKey.has(inputKey)) visit(byKey.get(inputKey));
+    });
+    state.set(field.key, 'done');
+    ordered.push(field);
+  };
+  
+  calculatedFields.forEach(visit);
+  return ordered;
+};
+
+const compiledFormulas = new Map();
+
+/**
+ * Compiled formula for a calculated field, cached by its text and inputs
+ */
+const getCompiledFormula = (field) => {
+  const inputs = field.inputs || [];
+  const cacheKey = `${field.formula}|${inputs.join(',')}`;
+  if (!compiledFormulas.has(cacheKey)) {
+    compiledFormulas.set(cacheKey, compileFieldFormula(field.formula, inputs));
+  }
+  return compiledFormulas.get(cacheKey);
+};
+
+/**
+ * Evaluate the calculated fields of a single indicator
+ * `context` carries report-level values formulas may use, e.g. { period, annualizationFactor }
+ * Returns a map of calculated field id -> value (null until all inputs are available)
+ */
+export const evaluateIndicatorCalculations = (indicator, responses, context = {}) => {
+  const calculatedFields = indicator.fields.filter(isCalculatedField);
+  if (calculatedFields.length === 0) return {};
+  
+  // Resolve input values by field key so formulas can reference e.g. data.staffLeft
+  const data = {};
+  indicator.fields.forEach(field => {
+    if (!isCalculatedField(field)) {
+      data[field.key] = responses[field.id];
+    }
+  });
+  
+  const results = {};
+  orderCalculations(calculatedFields).forEach(field => {
+    const inputs = field.inputs || [];
+    const ready = inputs.every(key => typeof data[key] === 'number' && Number.isFinite(data[key]))
+      && (!field.requiresPeriod || context.annualizationFactor != null);
+    
+    let value = null;
+    if (ready && field.formula) {
+      value = getCompiledFormula(field).evaluate(data, context);
+    }
+    
+    data[field.key] = value;
+    results[field.id] = value;
+  });
+  
+  return results;
+};
+
+/**
+ * Recompute every calculated field across all indicators
+ * Returns a new responses object with calculated values written in
+ */
+export const applyCalculations = (indicators, responses, context = {}) => {
+  const updated = { ...responses };
+  
+  indicators.forEach(indicator => {
+    Object.assign(updated, evaluateIndicatorCalculations(indicator, updated, context));
+  });
+  
+  return updated;
+};
+
+/**
+ * Format a calculated value for display and export
+ */
+export const formatCalculatedValue = (value, format) => {
+  if (value == null || !Number.isFinite(value)) return null;
+  
+  switch (format) {
+    case 'percentage':
+      return `${value}%`;
+    case 'currency':
+      return `$${value.toLocaleString('en-CA', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+    case 'ratio':
+      return `${value.toFixed(2)} : 1`;
+    default:
+      return value.toLocaleString('en-CA');
+  }
+};
+
+/**
+ * Look up the display label for a stored option value
+ */
+export const getOptionLabel = (field, value) => {
+  const option = (field.options || []).find(opt => String(opt.value) === String(value));
+  return option ? option.label : String(value);
+};
+
+/**
+ * Format any response value for reports and exports
+ * Option values become their labels; numbers get their unit
+ * Pass `otherText` to show the specified text in place of "Other (specify)"
+ * Returns null for unanswered fields
+ */
+export const formatFieldValue = (field, value, otherText = null) => {
+  if (isEmptyValue(value)) return null;
+  
+  const optionLabel = (v) => (
+    v === OTHER_OPTION_VALUE && otherText ? `Other: ${otherText}` : getOptionLabel(field, v)
+  );
+  
+  switch (field.type) {
+    case FieldTypes.CALCULATED:
+      return formatCalculatedValue(value, field.format);
+    case FieldTypes.RATIO:
+      return formatCalculatedValue(value, field.format || 'ratio');
+    case FieldTypes.CURRENCY:
+      return formatCalculatedValue(value, 'currency');
+    case FieldTypes.PERCENTAGE:
+      return formatCalculatedValue(value, 'percentage');
+    case FieldTypes.CHECKBOX:
+      return (Array.isArray(value) ? value : [value]).map(optionLabel).join('; ');
+    case FieldTypes.RADIO:
+    case FieldTypes.SCALE:
+    case FieldTypes.DROPDOWN:
+      return optionLabel(value);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Check whether a response value counts as answered
+ * Empty checkbox selections are treated the same as blank inputs
+ */
+export const isEmptyValue = (value) => (
+  value == null || value === '' || (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Check whether a dependent field is currently shown
+ * Fields with dependsOn/dependsOnValue only apply when the parent has that value
+ */
+export const isFieldVisible = (field, responses) => {
+  if (!field.dependsOn || !field.dependsOnValue) return true;
+  return responses[field.dependsOn] === field.dependsOnValue;
+};
+
+/**
+ * Run a field's validation rules against a value
+ * Returns a list of error messages (empty when valid)
+ */
+export const validateField = (field, value) => {
+  const rules = field.validation || [];
+  if (rules.length === 0) return [];
+  
+  // Blank values only need to satisfy the required rule
+  if (isEmptyValue(value)) {
+    return rules.includes(ValidationRules.required) ? [ValidationRules.required(null)] : [];
+  }
+  
+  const errors = [];
+  rules.forEach(rule => {
+    if (rule === ValidationRules.required) return;
+    
+    if (rule === ValidationRules.scale && field.options?.length) {
+      const values = field.options.map(option => Number(option.value));
+      const error = rule(value, Math.min(...values), Math.max(...values));
+      if (error) errors.push(error);
+      return;
+    }
+    
+    const error = rule(value);
+    if (error) errors.push(error);
+  });
+  
+  return errors;
+};
+
+/**
+ * Validate every visible field of an indicator
+ * Returns a map of field id -> error messages for fields that failed
+ */
+export const validateIndicator = (indicator, responses) => {
+  const fieldErrors = {};
+  
+  indicator.fields.forEach(field => {
+    if (isCalculatedField(field)) return;
+    if (!isFieldVisible(field, responses)) return;
+    if (getNonResponseReason(field, responses)) return;
+    
+    const errors = validateField(field, responses[field.id]);
+    if (hasOtherSelected(field, responses[field.id]) && !getOtherText(field, responses)) {
+      errors.push('Please specify your "Other" answer');
+    }
+    if (errors.length > 0) {
+      fieldErrors[field.id] = errors;
+    }
+  });
+  
+  return fieldErrors;
+};
+
+/**
+ * Run an indicator's cross-field consistency rules
+ * Rules only fire once every field they require has been answered
+ */
+export const checkIndicatorConsistency = (indicator, responses) => {
+  if (!indicator.rules || indicator.rules.length === 0) return [];
+  
+  // Values by key, including calculated results
+  const data = {};
+  indicator.fields.forEach(field => {
+    data[field.key] = responses[field.id];
+  });
+  
+  const results = [];
+  indicator.rules.forEach(rule => {
+    const requires = rule.requires || [];
+    if (requires.some(key => isEmptyValue(data[key]))) return;
+    
+    const message = rule.check(data);
+    if (!message) return;
+    
+    results.push({
+      key: rule.key,
+      severity: rule.severity || RuleSeverity.ERROR,
+      message,
+      explanation: rule.explanation,
+      fieldIds: requires
+        .map(key => indicator.fields.find(field => field.key === key)?.id)
+        .filter(Boolean)
+    });
+  });
+  
+  return results;
+};
+
+/**
+ * Validate the whole report before it can be generated
+ * Field errors and blocking consistency errors become issues; warnings are reported separately
+ */
+export const validateReport = (indicators, responses) => {
+  const fieldErrors = {};
+  const issues = [];
+  const warnings = [];
+  
+  indicators.forEach((indicator, indicatorIndex) => {
+    const indicatorErrors = validateIndicator(indicator, responses);
+    
+    Object.entries(indicatorErrors).forEach(([fieldId, errors]) => {
+      fieldErrors[fieldId] = errors;
+      const field = indicator.fields.find(f => f.id === fieldId);
+      issues.push({
+        id: fieldId,
+        indicatorIndex,
+        indicatorId: indicator.id,
+        indicatorTitle: indicator.title,
+        fieldId,
+        fieldLabel: field?.label,
+        message: errors[0]
+      });
+    });
+    
+    checkIndicatorConsistency(indicator, responses).forEach(result => {
+      const entry = {
+        id: `${indicator.id}:${result.key}`,
+        indicatorIndex,
+        indicatorId: indicator.id,
+        indicatorTitle: indicator.title,
+        fieldId: result.fieldIds[0],
+        fieldLabel: 'Consistency check',
+        message: result.message,
+        explanation: result.explanation
+      };
+      
+      if (result.severity === RuleSeverity.WARNING) {
+        warnings.push(entry);
+      } else {
+        issues.push(entry);
+      }
+    });
+  });
+  
+  return {
+    isValid: issues.length === 0,
+    errorCount: issues.length,
+    warningCount: warnings.length,
+    fieldErrors,
+    issues,
+    warnings
+  };
+};
+
 /**
  * Calculate completion score for progress tracking
  */
@@ -722,9 +1476,9 @@ export const calculateCompletionScore = (indicators, responses) => {
   
   indicators.forEach(indicator => {
     indicator.fields.forEach(field => {
-      if (field.type !== FieldTypes.CALCULATED) {
+      if (!isCalculatedField(field) && isFieldVisible(field, responses)) {
         totalFields++;
-        if (responses[field.id] != null && responses[field.id] !== '') {
+        if (isFieldAnswered(field, responses)) {
           completedFields++;
         }
       }
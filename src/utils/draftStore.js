@@ -0,0 +1,177 @@
+// Draft Persistence
+// Autosaved report drafts kept in IndexedDB, keyed by organization and reporting period
+
+import { Stores, runRequest } from './localDb';
+import { serializeReport, parseReport } from './reportSchema';
+import { applyCalculations, nonResponseId, otherResponseId } from './dataEngine';
+import { calculationContext } from './reportingPeriod';
+import { copyDraftAttachments, deleteDraftAttachments } from './evidence';
+import { emptyAttestation } from './submission';
+
+/**
+ * Key grouping drafts for the same organization and reporting period
+ */
+export const draftKeyFor = (organization, period) => (
+  `${organization?.code || 'ORG'}|${period?.label || ''}`
+);
+
+export const createDraftId = () => (
+  `draft_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+);
+
+export const defaultDraftName = (organization, period) => (
+  `${organization?.name || 'Organization'} — ${period?.label || 'No reporting period'}`
+);
+
+/**
+ * Save the current report state as a draft
+ * Indicators are stored in the exported report format (their validation rules are
+ * functions, which IndexedDB cannot store) and rebuilt on restore
+ */
+export const saveDraft = async ({
+  id,
+  name,
+  createdAt,
+  organization,
+  period,
+  indicators,
+  responses,
+  csvData,
+  currentIndicator,
+  previousReport,
+  benchmarks,
+  prefilled,
+  evidence,
+  reviewed,
+  attestation,
+  submitted
+}) => {
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    name: name || defaultDraftName(organization, period),
+    draftKey: draftKeyFor(organization, period),
+    organizationCode: organization?.code || null,
+    organizationName: organization?.name || null,
+    periodLabel: period?.label || null,
+    period: period || null,
+    createdAt: createdAt || now,
+    updatedAt: now,
+    currentIndicator: currentIndicator || 0,
+    csvData,
+    // Raw responses keep answers to currently hidden dependent fields
+    responses,
+    report: serializeReport({ organization, period, indicators, responses }),
+    // Prior period's export loaded for comparison, kept as the original file contents
+    previousReport: previousReport ? { fileName: previousReport.fileName, source: previousReport.source } : null,
+    benchmarks: benchmarks || null,
+    // Pre-filled fields the user has not confirmed yet
+    prefilled: prefilled || {},
+    // Source notes and attachment metadata; file contents live in the attachments store
+    evidence: evidence || {},
+    // Review checklist and sign-off; `submitted` holds the signed export once the report is locked
+    reviewed: reviewed || {},
+    attestation: attestation || null,
+    submitted: submitted || null
+  };
+
+  await runRequest(Stores.DRAFTS, 'readwrite', store => store.put(record));
+  return record;
+};
+
+/**
+ * List all drafts, most recently saved first
+ */
+export const listDrafts = async () => {
+  const drafts = await runRequest(Stores.DRAFTS, 'readonly', store => store.getAll());
+  return drafts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const getDraft = (id) => runRequest(Stores.DRAFTS, 'readonly', store => store.get(id));
+
+export const deleteDraft = async (id) => {
+  await runRequest(Stores.DRAFTS, 'readwrite', store => store.delete(id));
+  await deleteDraftAttachments(id);
+};
+
+/**
+ * Copy a draft under a new id, e.g. to try an alternative set of answers
+ * Attached files are copied too, so deleting either draft leaves the other intact.
+ * The copy is an editable draft: review ticks and the submitted state are not carried over
+ */
+export const duplicateDraft = async (id) => {
+  const draft = await getDraft(id);
+  if (!draft) throw new Error('Draft not found');
+
+  const now = new Date().toISOString();
+  const copyId = createDraftId();
+  const copy = {
+    ...draft,
+    id: copyId,
+    name: `${draft.name} (copy)`,
+    createdAt: now,
+    updatedAt: now,
+    evidence: await copyDraftAttachments(draft.id, copyId, draft.evidence),
+    reviewed: {},
+    submitted: null
+  };
+
+  await runRequest(Stores.DRAFTS, 'readwrite', store => store.put(copy));
+  return copy;
+};
+
+export const renameDraft = async (id, name) => {
+  const draft = await getDraft(id);
+  if (!draft) throw new Error('Draft not found');
+
+  const renamed = { ...draft, name };
+  await runRequest(Stores.DRAFTS, 'readwrite', store => store.put(renamed));
+  return renamed;
+};
+
+/**
+ * Parse a prior period's export kept with a draft
+ * A comparison that can no longer be read is dropped rather than blocking the restore
+ */
+const loadPreviousReport = ({ fileName, source }) => {
+  try {
+    return { fileName, source, report: parseReport(source) };
+  } catch (error) {
+    console.error('Error restoring previous report:', error);
+    return null;
+  }
+};
+
+/**
+ * Rebuild indicators and responses from a saved draft
+ */
+export const restoreDraft = (draft) => {
+  const report = parseReport(draft.report);
+  const knownFieldIds = new Set(report.indicators.flatMap(indicator => (
+    indicator.fields.flatMap(field => [field.id, otherResponseId(field), nonResponseId(field)])
+  )));
+
+  const savedResponses = Object.fromEntries(
+    Object.entries(draft.responses || {}).filter(([fieldId]) => knownFieldIds.has(fieldId))
+  );
+
+  return {
+    ...report,
+    responses: applyCalculations(
+      report.indicators,
+      { ...report.responses, ...savedResponses },
+      calculationContext(report.period)
+    ),
+    csvData: draft.csvData,
+    previousReport: draft.previousReport ? loadPreviousReport(draft.previousReport) : null,
+    benchmarks: draft.benchmarks || null,
+    prefilled: Object.fromEntries(
+      Object.entries(draft.prefilled || {}).filter(([fieldId]) => knownFieldIds.has(fieldId))
+    ),
+    evidence: draft.evidence || report.evidence,
+    reviewed: draft.reviewed || {},
+    attestation: draft.attestation || emptyAttestation(),
+    submitted: draft.submitted || null,
+    currentIndicator: Math.min(draft.currentIndicator || 0, Math.max(report.indicators.length - 1, 0))
+  };
+};
@@ -0,0 +1,151 @@
+// Indicator Evidence
+// Source notes and attached files backing each indicator, kept in IndexedDB with the draft
+
+import { Stores, runRequest } from './localDb';
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Evidence for a report, keyed by indicator id
+ * {
+ *   [indicatorId]: {
+ *     sourceNote: string,
+ *     attachments: [{ id, name, type, size, addedAt }]
+ *   }
+ * }
+ * File contents are stored separately, one record per attachment in the attachments store
+ */
+export const emptyEvidence = () => ({ sourceNote: '', attachments: [] });
+
+export const hasEvidence = (entry) => Boolean(entry && (entry.sourceNote?.trim() || entry.attachments?.length > 0));
+
+/**
+ * Apply changes to one indicator's evidence; indicators left with no evidence are dropped
+ */
+export const updateIndicatorEvidence = (evidence, indicatorId, changes) => {
+  const { [indicatorId]: current = emptyEvidence(), ...others } = evidence || {};
+  const updated = { ...current, ...changes };
+  return hasEvidence(updated) ? { ...others, [indicatorId]: updated } : others;
+};
+
+/**
+ * Re-key evidence after a workplan update (see createIdMigration)
+ * Evidence for removed indicators is dropped
+ */
+export const migrateEvidence = (evidence, migration) => {
+  const migrated = {};
+  Object.entries(evidence || {}).forEach(([indicatorId, entry]) => {
+    const target = migration.indicators[indicatorId];
+    if (target) migrated[target] = entry;
+  });
+  return migrated;
+};
+
+export const listEvidenceAttachments = (evidence) => Object.entries(evidence || {}).flatMap(([indicatorId, entry]) => (
+  (entry.attachments || []).map(attachment => ({ ...attachment, indicatorId }))
+));
+
+/**
+ * Path of an attached file inside a report package
+ * The attachment id keeps two files with the same name apart
+ */
+export const attachmentPath = (indicatorId, attachment) => {
+  const name = String(attachment.name || 'file').replace(/[\\/:*?"<>|]+/g, '_');
+  const folder = String(indicatorId).replace(/[^A-Za-z0-9_-]+/g, '_');
+  return `evidence/${folder}/${attachment.id}-${name}`;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const createAttachmentId = () => (
+  `file_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+);
+
+const attachmentMetadata = ({ id, name, type, size, addedAt }) => ({ id, name, type, size, addedAt });
+
+/**
+ * Store a file for an indicator in a draft and return its metadata
+ */
+export const addAttachment = async (draftId, indicatorId, file) => {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`);
+  }
+
+  const record = {
+    id: createAttachmentId(),
+    draftId,
+    indicatorId,
+    name: file.name,
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+    addedAt: new Date().toISOString(),
+    data: file
+  };
+
+  await runRequest(Stores.ATTACHMENTS, 'readwrite', store => store.put(record));
+  return attachmentMetadata(record);
+};
+
+export const getAttachment = (id) => runRequest(Stores.ATTACHMENTS, 'readonly', store => store.get(id));
+
+export const removeAttachment = (id) => runRequest(Stores.ATTACHMENTS, 'readwrite', store => store.delete(id));
+
+const listDraftAttachments = (draftId) => runRequest(
+  Stores.ATTACHMENTS,
+  'readonly',
+  store => store.index('draftId').getAll(draftId)
+);
+
+export const deleteDraftAttachments = async (draftId) => {
+  const records = await listDraftAttachments(draftId);
+  await Promise.all(records.map(record => removeAttachment(record.id)));
+};
+
+/**
+ * Copy a draft's files to another draft
+ * Returns the evidence with attachment ids pointing at the copies
+ */
+export const copyDraftAttachments = async (fromDraftId, toDraftId, evidence) => {
+  const records = await listDraftAttachments(fromDraftId);
+  const copiedIds = {};
+
+  await Promise.all(records.map(record => {
+    const copy = { ...record, id: createAttachmentId(), draftId: toDraftId };
+    copiedIds[record.id] = copy.id;
+    return runRequest(Stores.ATTACHMENTS, 'readwrite', store => store.put(copy));
+  }));
+
+  return Object.fromEntries(Object.entries(evidence || {}).map(([indicatorId, entry]) => [
+    indicatorId,
+    {
+      ...entry,
+      attachments: entry.attachments
+        .filter(attachment => copiedIds[attachment.id])
+        .map(attachment => ({ ...attachment, id: copiedIds[attachment.id] }))
+    }
+  ]));
+};
+
+/**
+ * Read the contents of every attached file
+ * Returns { files: [{ ...metadata, indicatorId, data: Uint8Array }], missing: [metadata] }
+ */
+export const readEvidenceFiles = async (evidence) => {
+  const files = [];
+  const missing = [];
+
+  for (const attachment of listEvidenceAttachments(evidence)) {
+    const record = await getAttachment(attachment.id);
+    if (record?.data) {
+      files.push({ ...attachment, data: new Uint8Array(await record.data.arrayBuffer()) });
+    } else {
+      missing.push(attachment);
+    }
+  }
+
+  return { files, missing };
+};
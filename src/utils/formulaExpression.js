@@ -0,0 +1,357 @@
+// Formula Expressions
+// A small, sandboxed expression language for calculated fields, stored and exported as text
+
+/**
+ * Grammar (lowest precedence first):
+ *   expression := or
+ *   or         := and ( "||" and )*
+ *   and        := comparison ( "&&" comparison )*
+ *   comparison := sum ( ( "<" | "<=" | ">" | ">=" | "==" | "!=" ) sum )?
+ *   sum        := product ( ( "+" | "-" ) product )*
+ *   product    := unary ( ( "*" | "/" ) unary )*
+ *   unary      := ( "-" | "!" ) unary | primary
+ *   primary    := number | name | name "(" arguments ")" | "(" expression ")"
+ *
+ * Names refer to sibling fields (by key) or to report context values such as
+ * `annualizationFactor`. Only the built-in functions below and the helpers passed
+ * in by the caller can be called; nothing else in JavaScript is reachable.
+ */
+
+export const ValueTypes = {
+  NUMBER: 'number',
+  BOOLEAN: 'boolean'
+};
+
+/**
+ * Report-level values a formula may use; a formula that uses one needs a reporting period
+ */
+export const CONTEXT_VARIABLES = ['annualizationFactor'];
+
+export class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(position == null ? message : `${message} (at character ${position + 1})`);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+const N = ValueTypes.NUMBER;
+const B = ValueTypes.BOOLEAN;
+
+/**
+ * Built-in functions: { params: argument types, variadic?: last type repeats, returns, run }
+ */
+const BUILT_INS = {
+  min: { params: [N], variadic: true, returns: N, run: (...values) => Math.min(...values) },
+  max: { params: [N], variadic: true, returns: N, run: (...values) => Math.max(...values) },
+  round: {
+    params: [N, N],
+    optional: 1,
+    returns: N,
+    run: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits
+  },
+  abs: { params: [N], returns: N, run: (value) => Math.abs(value) },
+  // `if` is lazy: only the chosen branch is evaluated
+  if: { params: [B, N, N], returns: N }
+};
+
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '<', '>', '+', '-', '*', '/', '!', '(', ')', ','];
+
+const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const rest = text.slice(position);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      position += space[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^(\d+(\.\d*)?|\.\d+)/);
+    if (number) {
+      tokens.push({ kind: 'number', value: Number(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    const name = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (name) {
+      tokens.push({ kind: 'name', value: name[0], position });
+      position += name[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => rest.startsWith(op));
+    if (!operator) throw new FormulaError(`Unexpected character "${rest[0]}"`, position);
+    tokens.push({ kind: 'operator', value: operator, position });
+    position += operator.length;
+  }
+
+  tokens.push({ kind: 'end', position });
+  return tokens;
+};
+
+/**
+ * Parse formula text into a syntax tree
+ * Nodes: { type: 'number' | 'name' | 'call' | 'unary' | 'binary', ... , position }
+ */
+export const parseExpression = (text) => {
+  const tokens = tokenize(String(text ?? ''));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const accept = (value) => {
+    if (peek().kind === 'operator' && peek().value === value) {
+      index += 1;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!accept(value)) throw new FormulaError(`Expected "${value}"`, peek().position);
+  };
+
+  const binaryLevel = (operators, next) => () => {
+    let left = next();
+    while (peek().kind === 'operator' && operators.includes(peek().value)) {
+      const { value: operator, position } = tokens[index++];
+      left = { type: 'binary', operator, left, right: next(), position };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = peek();
+
+    if (token.kind === 'number') {
+      index += 1;
+      return { type: 'number', value: token.value, position: token.position };
+    }
+
+    if (token.kind === 'name') {
+      index += 1;
+      if (!accept('(')) return { type: 'name', name: token.value, position: token.position };
+
+      const args = [];
+      if (!accept(')')) {
+        do {
+          args.push(expression());
+        } while (accept(','));
+        expect(')');
+      }
+      return { type: 'call', name: token.value, args, position: token.position };
+    }
+
+    if (accept('(')) {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+
+    throw new FormulaError(token.kind === 'end' ? 'Formula ends unexpectedly' : `Unexpected "${token.value}"`, token.position);
+  };
+
+  const unary = () => {
+    const token = peek();
+    if (token.kind === 'operator' && (token.value === '-' || token.value === '!')) {
+      index += 1;
+      return { type: 'unary', operator: token.value, operand: unary(), position: token.position };
+    }
+    return primary();
+  };
+
+  const product = binaryLevel(['*', '/'], unary);
+  const sum = binaryLevel(['+', '-'], product);
+  const comparison = () => {
+    const left = sum();
+    const token = peek();
+    if (token.kind === 'operator' && ['<', '<=', '>', '>=', '==', '!='].includes(token.value)) {
+      index += 1;
+      return { type: 'binary', operator: token.value, left, right: sum(), position: token.position };
+    }
+    return left;
+  };
+  const and = binaryLevel(['&&'], comparison);
+  const expression = binaryLevel(['||'], and);
+
+  if (peek().kind === 'end') throw new FormulaError('Formula is empty');
+  const tree = expression();
+  if (peek().kind !== 'end') throw new FormulaError(`Unexpected "${peek().value}"`, peek().position);
+  return tree;
+};
+
+/**
+ * Describe a helper from `Calculations` as a function signature
+ * Helpers take numbers; `average` takes a list, so it accepts any number of arguments
+ */
+const helperSignature = (name, helper) => (
+  name === 'average'
+    ? { params: [N], variadic: true, returns: N, run: (...values) => helper(values) }
+    : { params: Array(helper.length).fill(N), returns: N, run: helper }
+);
+
+const functionFor = (name, helpers) => {
+  if (Object.hasOwn(BUILT_INS, name)) return BUILT_INS[name];
+  if (Object.hasOwn(helpers, name) && typeof helpers[name] === 'function') return helperSignature(name, helpers[name]);
+  return null;
+};
+
+/**
+ * Type-check a syntax tree
+ * `variables` maps each name the formula may use to its value type
+ * Returns the expression's type; throws FormulaError on the first problem
+ */
+const checkTypes = (node, variables, helpers) => {
+  const expectType = (child, type, what) => {
+    const actual = checkTypes(child, variables, helpers);
+    if (actual !== type) throw new FormulaError(`${what} must be ${type === N ? 'a number' : 'a condition'}`, child.position);
+  };
+
+  switch (node.type) {
+    case 'number':
+      return N;
+
+    case 'name':
+      if (!Object.hasOwn(variables, node.name)) {
+        throw new FormulaError(`"${node.name}" is not a field of this indicator`, node.position);
+      }
+      return variables[node.name];
+
+    case 'unary':
+      expectType(node.operand, node.operator === '!' ? B : N, `The value after "${node.operator}"`);
+      return node.operator === '!' ? B : N;
+
+    case 'binary':
+      if (node.operator === '&&' || node.operator === '||') {
+        expectType(node.left, B, `Both sides of "${node.operator}"`);
+        expectType(node.right, B, `Both sides of "${node.operator}"`);
+        return B;
+      }
+      expectType(node.left, N, `Both sides of "${node.operator}"`);
+      expectType(node.right, N, `Both sides of "${node.operator}"`);
+      return ['+', '-', '*', '/'].includes(node.operator) ? N : B;
+
+    case 'call': {
+      const fn = functionFor(node.name, helpers);
+      if (!fn) throw new FormulaError(`Unknown function "${node.name}"`, node.position);
+
+      const required = fn.params.length - (fn.optional || 0);
+      const tooFew = node.args.length < required;
+      const tooMany = !fn.variadic && node.args.length > fn.params.length;
+      if (tooFew || tooMany) {
+        const expected = fn.variadic
+          ? `at least ${required}`
+          : (fn.optional ? `${required} or ${fn.params.length}` : String(fn.params.length));
+        throw new FormulaError(`${node.name}() takes ${expected} argument${/\b1$/.test(expected) ? '' : 's'}`, node.position);
+      }
+
+      node.args.forEach((arg, i) => {
+        const type = fn.params[Math.min(i, fn.params.length - 1)];
+        expectType(arg, type, `Argument ${i + 1} of ${node.name}()`);
+      });
+      return fn.returns;
+    }
+
+    default:
+      throw new FormulaError('Unsupported expression', node.position);
+  }
+};
+
+/**
+ * Names a syntax tree refers to, in order of first use
+ */
+const collectNames = (node, names = []) => {
+  if (node.type === 'name' && !names.includes(node.name)) names.push(node.name);
+  if (node.type === 'unary') collectNames(node.operand, names);
+  if (node.type === 'binary') {
+    collectNames(node.left, names);
+    collectNames(node.right, names);
+  }
+  if (node.type === 'call') node.args.forEach(arg => collectNames(arg, names));
+  return names;
+};
+
+const evaluateNode = (node, scope, helpers) => {
+  const evaluate = (child) => evaluateNode(child, scope, helpers);
+
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'name':
+      return scope[node.name];
+    case 'unary':
+      return node.operator === '!' ? !evaluate(node.operand) : -evaluate(node.operand);
+    case 'binary': {
+      if (node.operator === '&&') return evaluate(node.left) && evaluate(node.right);
+      if (node.operator === '||') return evaluate(node.left) || evaluate(node.right);
+
+      const left = evaluate(node.left);
+      const right = evaluate(node.right);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        case '!=': return left !== right;
+        default: return null;
+      }
+    }
+    case 'call': {
+      if (node.name === 'if') {
+        const [condition, whenTrue, whenFalse] = node.args;
+        return evaluate(condition) ? evaluate(whenTrue) : evaluate(whenFalse);
+      }
+      return functionFor(node.name, helpers).run(...node.args.map(evaluate));
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parse and type-check a formula
+ *
+ * `fields` lists the names the formula may refer to (sibling field keys); all are numbers.
+ * `helpers` are extra named functions (the `Calculations` helpers).
+ *
+ * Returns { text, inputs, requiresPeriod, evaluate(data, context) }:
+ *   inputs          field keys the formula reads
+ *   requiresPeriod  whether it uses a reporting period value such as annualizationFactor
+ *   evaluate        the result, or null when it is not a finite number (e.g. division by zero)
+ * Throws FormulaError when the formula cannot be parsed or does not produce a number
+ */
+export const compileFormula = (text, { fields = [], helpers = {} } = {}) => {
+  const tree = parseExpression(text);
+
+  const variables = {};
+  CONTEXT_VARIABLES.forEach(name => { variables[name] = N; });
+  fields.forEach(name => { variables[name] = N; });
+
+  if (checkTypes(tree, variables, helpers) !== N) {
+    throw new FormulaError('A formula must produce a number, not a condition');
+  }
+
+  const names = collectNames(tree);
+  const inputs = names.filter(name => !CONTEXT_VARIABLES.includes(name));
+
+  return {
+    text: String(text).trim(),
+    inputs,
+    requiresPeriod: names.some(name => CONTEXT_VARIABLES.includes(name)),
+    evaluate: (data = {}, context = {}) => {
+      const scope = {};
+      inputs.forEach(name => { scope[name] = data[name]; });
+      CONTEXT_VARIABLES.forEach(name => { scope[name] = context[name]; });
+
+      const result = evaluateNode(tree, scope, helpers);
+      return typeof result === 'number' && Number.isFinite(result) ? result : null;
+    }
+  };
+};
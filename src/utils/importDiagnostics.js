@@ -0,0 +1,163 @@
+// Import Diagnostics
+// Explains how a workplan CSV will be read before the form is built
+
+import {
+  FieldTypes,
+  FieldConfigRules,
+  createFieldConfig,
+  findIndicatorColumns,
+  readIndicatorMetadata,
+  resolveIndicatorMetadata
+} from './dataEngine';
+import { buildIndicatorsFromCsv, findDefinitionColumns } from './indicatorDefinition';
+
+/**
+ * Workplan columns the user can remap, in display order
+ */
+export const ColumnRoles = [
+  { key: 'indicatorCol', label: 'Indicator', required: true },
+  { key: 'methodCol', label: 'Measurement method' },
+  { key: 'notesCol', label: 'Notes' },
+  { key: 'idCol', label: 'ID' },
+  { key: 'tierCol', label: 'Tier' },
+  { key: 'categoryCol', label: 'Category' },
+  { key: 'ownerCol', label: 'Owner' },
+  { key: 'frequencyCol', label: 'Frequency' }
+];
+
+/**
+ * How each CSV row will be used
+ */
+export const RowStatus = {
+  HEURISTIC: 'heuristic', // fields inferred by a createFieldConfig keyword rule
+  DECLARED: 'declared',   // fields declared in the field_type column
+  SKIPPED: 'skipped'      // no indicator name
+};
+
+const FALLBACK_RULE = 'textFallback';
+
+/**
+ * Field types a createFieldConfig result produces, in form order
+ */
+const configFieldTypes = (config) => {
+  if (!config.fields) return [config.type];
+  return [
+    ...config.fields.map(field => field.type),
+    ...(config.calculations || []).map(() => FieldTypes.CALCULATED)
+  ];
+};
+
+const hasContent = (row) => Object.values(row).some(value => String(value ?? '').trim() !== '');
+
+/**
+ * Diagnose a parsed workplan CSV
+ *
+ * `parsed` is { data, parseErrors } from Papa Parse (header mode); `columnOverrides`
+ * replaces detected columns ('' means "no column").
+ *
+ * Returns {
+ *   headers, columns,
+ *   rows: [{ rowNumber, status, title, indicatorId, fieldTypes, rule, ruleLabel, isFallback, tier, tierSource, reason }],
+ *   warnings: [{ rowNumber, message }]  Papa Parse problems; the rows are still imported
+ *   errors: [{ location, column?, message }]  problems that stop the import
+ *   indicators: the indicators the form will be built from (empty when there are errors)
+ *   summary: { indicatorCount, fallbackCount, skippedCount, warningCount }
+ * }
+ */
+export const diagnoseWorkplan = ({ data = [], parseErrors = [] }, columnOverrides = {}) => {
+  const headers = data.length > 0 ? Object.keys(data[0]) : [];
+  const columns = { ...findIndicatorColumns(headers) };
+  Object.entries(columnOverrides).forEach(([role, header]) => {
+    columns[role] = header || undefined;
+  });
+
+  const warnings = parseErrors.map(error => ({
+    rowNumber: error.row != null ? error.row + 2 : null,
+    message: error.message
+  }));
+
+  let indicators = [];
+  let errors = [];
+  if (!columns.indicatorCol) {
+    errors = [{ location: 'Columns', message: 'Choose the column that holds the indicator names' }];
+  } else {
+    try {
+      indicators = buildIndicatorsFromCsv(data, columns);
+    } catch (error) {
+      errors = error.errors || [{ location: 'File', message: error.message }];
+    }
+  }
+
+  const fieldTypeColumn = findDefinitionColumns(headers).field_type;
+
+  // Rows map to indicators in order; consecutive declared rows with one title share an indicator
+  let indicatorIndex = -1;
+  let previousDeclaredTitle = null;
+  const nextIndicatorId = (title, declared) => {
+    if (!declared || title !== previousDeclaredTitle) indicatorIndex += 1;
+    previousDeclaredTitle = declared ? title : null;
+    return indicators[indicatorIndex]?.id || null;
+  };
+
+  const rows = data.map((row, index) => {
+    const rowNumber = index + 2; // header is row 1
+    const title = columns.indicatorCol ? String(row[columns.indicatorCol] ?? '').trim() : '';
+
+    if (!title) {
+      return {
+        rowNumber,
+        status: RowStatus.SKIPPED,
+        reason: hasContent(row) ? 'No indicator name' : 'Blank row'
+      };
+    }
+
+    const method = columns.methodCol ? row[columns.methodCol] || '' : '';
+    const { tier, tierSource } = resolveIndicatorMetadata({ title, method, ...readIndicatorMetadata(row, columns) });
+    const declaredType = fieldTypeColumn ? String(row[fieldTypeColumn] ?? '').trim() : '';
+    const indicatorId = nextIndicatorId(title, Boolean(declaredType));
+
+    if (declaredType) {
+      return {
+        rowNumber,
+        status: RowStatus.DECLARED,
+        title,
+        indicatorId,
+        fieldTypes: [declaredType.toLowerCase()],
+        rule: null,
+        ruleLabel: `Declared in the ${fieldTypeColumn} column`,
+        isFallback: false,
+        tier,
+        tierSource
+      };
+    }
+
+    const config = createFieldConfig(title, method);
+    return {
+      rowNumber,
+      status: RowStatus.HEURISTIC,
+      title,
+      indicatorId,
+      fieldTypes: configFieldTypes(config),
+      rule: config.rule,
+      ruleLabel: FieldConfigRules[config.rule],
+      isFallback: config.rule === FALLBACK_RULE,
+      tier,
+      tierSource
+    };
+  });
+
+  return {
+    headers,
+    columns,
+    rows,
+    warnings,
+    errors,
+    indicators,
+    summary: {
+      indicatorCount: indicators.length,
+      fallbackCount: rows.filter(row => row.isFallback).length,
+      skippedCount: rows.filter(row => row.status === RowStatus.SKIPPED).length,
+      warningCount: warnings.length
+    }
+  };
+};
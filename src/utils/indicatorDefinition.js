@@ -0,0 +1,487 @@
+// Declarative Indicator Definitions
+// Explicit field definitions (JSON or extra CSV columns) that take precedence over keyword heuristics
+
+import {
+  FieldTypes,
+  ValidationRules,
+  StandardOptions,
+  OTHER_OPTION_VALUE,
+  createRangeRule,
+  buildIndicator,
+  resolveIndicatorMetadata,
+  parseTier,
+  detectIndicatorColumns,
+  readIndicatorMetadata,
+  isCalculatedField,
+  compileFieldFormula,
+  orderCalculations
+} from './dataEngine';
+import { assignIndicatorIds } from './indicatorIds';
+
+export const DEFINITION_SCHEMA_ID = 'ywc-reporting-portal/indicators';
+export const DEFINITION_SCHEMA_VERSION = 1;
+
+/**
+ * Optional workplan CSV columns, by normalized header name
+ * A row with a `field_type` is defined declaratively; other rows use the heuristics
+ */
+export const DEFINITION_COLUMNS = [
+  'field_key',
+  'field_label',
+  'field_type',
+  'options',
+  'unit',
+  'min',
+  'max',
+  'formula',
+  'depends_on',
+  'required'
+];
+
+const FIELD_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const NUMERIC_TYPES = [FieldTypes.NUMBER, FieldTypes.CURRENCY, FieldTypes.PERCENTAGE, FieldTypes.SCALE];
+const OPTION_TYPES = [FieldTypes.RADIO, FieldTypes.CHECKBOX, FieldTypes.DROPDOWN, FieldTypes.SCALE];
+const NUMERIC_INPUT_TYPES = [...NUMERIC_TYPES, FieldTypes.CALCULATED, FieldTypes.RATIO];
+
+/**
+ * A problem in a definition file
+ * `location` is "Row 4" for CSV files or a JSON path such as "indicators[2].fields[0]"
+ */
+export class IndicatorDefinitionError extends Error {
+  constructor(errors) {
+    super(
+      `The indicator definitions have ${errors.length} ${errors.length === 1 ? 'problem' : 'problems'}:\n` +
+      errors.map(formatDefinitionError).join('\n')
+    );
+    this.name = 'IndicatorDefinitionError';
+    this.errors = errors;
+  }
+}
+
+export const formatDefinitionError = (error) => (
+  `${error.location}${error.column ? ` (${error.column})` : ''}: ${error.message}`
+);
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+
+const camelCase = (text) => slugify(text).replace(/_([a-z0-9])/g, (_, letter) => letter.toUpperCase()) || 'main';
+
+/**
+ * "Yes;No" or "yes=Yes;no=No" (also "|" separated) → [{ value, label }]
+ * Options labelled "Other…" use the shared "other" value so they get a free-text box
+ */
+const parseOptionList = (text) => String(text)
+  .split(/[;|]/)
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const [rawValue, ...rest] = part.split('=');
+    const label = rest.length > 0 ? rest.join('=').trim() : rawValue.trim();
+    if (/^other\b/i.test(label)) return { value: OTHER_OPTION_VALUE, label: 'Other (specify)' };
+    return { value: rest.length > 0 ? rawValue.trim() : slugify(label), label };
+  });
+
+const normalizeOptions = (options) => {
+  if (options == null || options === '') return undefined;
+  if (typeof options === 'string') return parseOptionList(options);
+  return options.map(option => (
+    typeof option === 'object' ? { value: option.value, label: String(option.label ?? option.value) } : parseOptionList(String(option))[0]
+  ));
+};
+
+const parseNumber = (value) => {
+  if (value == null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const parseBoolean = (value) => {
+  if (value == null || value === '') return undefined;
+  if (typeof value === 'boolean') return value;
+  return /^(true|yes|y|1)$/i.test(String(value).trim());
+};
+
+/**
+ * "hasProgram=yes" → { dependsOn: 'hasProgram', dependsOnValue: 'yes' }
+ * A bare key means the field is shown when that field is answered "yes"
+ */
+const parseDependsOn = (value) => {
+  if (value == null || value === '') return {};
+  if (typeof value === 'object') return { dependsOn: value.field, dependsOnValue: value.value };
+  const [key, expected] = String(value).split('=').map(part => part.trim());
+  return { dependsOn: key, dependsOnValue: expected || 'yes' };
+};
+
+/**
+ * Calculated field display format from its unit
+ */
+const formatForUnit = (unit) => {
+  if (unit === '%') return 'percentage';
+  if (unit === '$') return 'currency';
+  if (unit && /ratio|:\s*1/i.test(unit)) return 'ratio';
+  return undefined;
+};
+
+/**
+ * Normalize one field definition from CSV cells or JSON
+ * The result is plain JSON so it can be stored with exported reports
+ */
+const normalizeFieldDefinition = (raw, fallbackLabel) => {
+  const type = String(raw.type ?? raw.field_type ?? '').trim().toLowerCase();
+  const label = String(raw.label ?? raw.field_label ?? '').trim() || fallbackLabel;
+  const key = String(raw.key ?? raw.field_key ?? '').trim() || camelCase(label);
+  const { dependsOn, dependsOnValue } = parseDependsOn(raw.dependsOn ?? raw.depends_on);
+  const required = parseBoolean(raw.required);
+
+  const definition = {
+    key,
+    label,
+    type,
+    description: raw.description || undefined,
+    options: normalizeOptions(raw.options),
+    unit: raw.unit ? String(raw.unit).trim() : undefined,
+    min: parseNumber(raw.min),
+    max: parseNumber(raw.max),
+    formula: raw.formula ? String(raw.formula).trim() : undefined,
+    dependsOn,
+    dependsOnValue,
+    required: required ?? !(type === FieldTypes.CALCULATED || type === FieldTypes.RATIO)
+  };
+
+  Object.keys(definition).forEach(name => definition[name] === undefined && delete definition[name]);
+  return definition;
+};
+
+/**
+ * Check an indicator's field definitions
+ * `locate(fieldIndex)` returns where each field came from, for error messages
+ */
+const validateIndicatorDefinition = (indicator, locate) => {
+  const errors = [];
+  const keys = new Map();
+  const error = (index, column, message) => errors.push({ location: locate(index), column, message });
+  const validTypes = Object.values(FieldTypes);
+
+  indicator.fields.forEach((field, index) => {
+    if (!FIELD_KEY_PATTERN.test(field.key)) {
+      error(index, 'field_key', `"${field.key}" is not a valid field key (letters, numbers and _; must start with a letter)`);
+    } else if (keys.has(field.key)) {
+      error(index, 'field_key', `Field key "${field.key}" is used more than once in "${indicator.title}"`);
+    }
+    keys.set(field.key, field);
+  });
+
+  indicator.fields.forEach((field, index) => {
+    if (!validTypes.includes(field.type)) {
+      error(index, 'field_type', `Unknown field type "${field.type}". Use one of: ${validTypes.join(', ')}`);
+      return;
+    }
+
+    if (Number.isNaN(field.min)) error(index, 'min', 'min must be a number');
+    if (Number.isNaN(field.max)) error(index, 'max', 'max must be a number');
+    if ((field.min != null || field.max != null) && !NUMERIC_TYPES.includes(field.type)) {
+      error(index, 'min', `min/max only apply to ${NUMERIC_TYPES.join(', ')} fields`);
+    }
+    if (Number.isFinite(field.min) && Number.isFinite(field.max) && field.min > field.max) {
+      error(index, 'max', 'max must be greater than or equal to min');
+    }
+
+    const needsOptions = OPTION_TYPES.includes(field.type) && field.type !== FieldTypes.SCALE;
+    if (needsOptions && (!field.options || field.options.length === 0)) {
+      error(index, 'options', `${field.type} fields need a list of options, e.g. "Yes;No"`);
+    }
+    if (field.options && !OPTION_TYPES.includes(field.type)) {
+      error(index, 'options', `options only apply to ${OPTION_TYPES.join(', ')} fields`);
+    }
+    if (field.options) {
+      const values = field.options.map(option => String(option.value));
+      const duplicate = values.find((value, i) => values.indexOf(value) !== i);
+      if (duplicate) error(index, 'options', `Option "${duplicate}" is listed more than once`);
+    }
+
+    if (isCalculatedField(field)) {
+      if (!field.formula) {
+        error(index, 'formula', 'Calculated fields need a formula');
+      } else {
+        try {
+          compileFieldFormula(field.formula, [...keys.keys()]).inputs.forEach(input => {
+            const source = keys.get(input);
+            if (source === field) error(index, 'formula', 'A formula cannot use its own field');
+            else if (!NUMERIC_INPUT_TYPES.includes(source.type)) error(index, 'formula', `Formula uses "${input}", which is not a number field`);
+          });
+        } catch (formulaError) {
+          error(index, 'formula', formulaError.message);
+        }
+      }
+    } else if (field.formula) {
+      error(index, 'formula', 'Only calculated and ratio fields can have a formula');
+    }
+
+    if (field.dependsOn) {
+      const parent = keys.get(field.dependsOn);
+      if (!parent) {
+        error(index, 'depends_on', `"${field.dependsOn}" is not a field of this indicator`);
+      } else if (parent === field) {
+        error(index, 'depends_on', 'A field cannot depend on itself');
+      } else if (![FieldTypes.RADIO, FieldTypes.DROPDOWN].includes(parent.type)) {
+        error(index, 'depends_on', `"${field.dependsOn}" must be a radio or dropdown field`);
+      } else if (parent.options && !parent.options.some(option => String(option.value) === field.dependsOnValue)) {
+        error(index, 'depends_on', `"${field.dependsOn}" has no option "${field.dependsOnValue}"`);
+      }
+    }
+  });
+
+  // Calculations that feed each other in a loop can never be evaluated
+  if (errors.length === 0) {
+    const calculated = indicator.fields.filter(isCalculatedField);
+    try {
+      orderCalculations(calculated.map(field => ({
+        key: field.key,
+        inputs: compileFieldFormula(field.formula, indicator.fields.map(other => other.key)).inputs
+      })));
+    } catch (cycleError) {
+      error(indicator.fields.indexOf(calculated[0]), 'formula', cycleError.message);
+    }
+  }
+
+  return errors;
+};
+
+const validationFor = (definition) => {
+  const rules = [];
+  if (definition.required) rules.push(ValidationRules.required);
+
+  const byType = {
+    [FieldTypes.PERCENTAGE]: ValidationRules.percentage,
+    [FieldTypes.CURRENCY]: ValidationRules.currency,
+    [FieldTypes.SCALE]: ValidationRules.scale,
+    [FieldTypes.DATE]: ValidationRules.date,
+    [FieldTypes.PERIOD]: ValidationRules.period
+  };
+  if (byType[definition.type]) rules.push(byType[definition.type]);
+  if (definition.min != null || definition.max != null) rules.push(createRangeRule(definition.min, definition.max));
+
+  return rules;
+};
+
+const scaleOptions = (definition) => {
+  if (definition.options) return definition.options;
+  if (definition.min != null && definition.max != null) {
+    return Array.from({ length: definition.max - definition.min + 1 }, (_, i) => ({
+      value: definition.min + i,
+      label: String(definition.min + i)
+    }));
+  }
+  return StandardOptions.satisfactionScale;
+};
+
+/**
+ * Build an indicator from a validated declarative definition
+ * { id, title, method, notes, tier?, category?, owner?, frequency?, fields: [field definitions] }
+ * The definition is kept on the indicator so exports can rebuild it exactly
+ */
+export const buildDeclaredIndicator = ({ id, title, method = '', notes = '', fields, ...metadata }) => {
+  const indicatorId = id;
+
+  return {
+    id: indicatorId,
+    title: title.trim(),
+    description: notes,
+    method,
+    ...resolveIndicatorMetadata({ title, method, ...metadata }),
+    definition: { fields },
+    fields: fields.map(definition => {
+      const field = {
+        id: `${indicatorId}_${definition.key}`,
+        key: definition.key,
+        type: definition.type,
+        label: definition.label,
+        description: definition.description,
+        required: definition.required,
+        unit: definition.unit,
+        min: definition.min,
+        max: definition.max,
+        dependsOn: definition.dependsOn ? `${indicatorId}_${definition.dependsOn}` : undefined,
+        dependsOnValue: definition.dependsOnValue,
+        validation: validationFor(definition)
+      };
+
+      if (definition.type === FieldTypes.SCALE) field.options = scaleOptions(definition);
+      else if (definition.options) field.options = definition.options;
+
+      if (definition.type === FieldTypes.TEXT_SHORT) {
+        field.maxLength = 100;
+        field.placeholder = 'Brief response (max 100 characters)';
+      }
+
+      if (isCalculatedField(definition)) {
+        const compiled = compileFieldFormula(definition.formula, fields.map(other => other.key));
+        field.inputs = compiled.inputs;
+        field.requiresPeriod = compiled.requiresPeriod || undefined;
+        field.formula = compiled.text;
+        field.format = formatForUnit(definition.unit) || (definition.type === FieldTypes.RATIO ? 'ratio' : undefined);
+        field.required = false;
+      }
+
+      return field;
+    })
+  };
+};
+
+/**
+ * Map each definition column present in a CSV header to its actual header text
+ * e.g. { field_type: 'Field Type' }
+ */
+export const findDefinitionColumns = (headers) => {
+  const columns = {};
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    if (DEFINITION_COLUMNS.includes(normalized) && !columns[normalized]) columns[normalized] = header;
+  });
+  return columns;
+};
+
+/**
+ * Build indicators from a workplan CSV
+ * Rows with a `field_type` are declarative: consecutive rows with the same indicator
+ * title become the fields of one indicator. All other rows use the keyword heuristics.
+ * `indicatorColumns` overrides the detected columns (see findIndicatorColumns)
+ * Throws IndicatorDefinitionError listing every invalid row
+ */
+export const buildIndicatorsFromCsv = (csvData, indicatorColumns = null) => {
+  if (!csvData || csvData.length === 0) return [];
+
+  const resolvedColumns = indicatorColumns || detectIndicatorColumns(csvData[0]);
+  const { indicatorCol, methodCol, notesCol } = resolvedColumns;
+  const columns = findDefinitionColumns(Object.keys(csvData[0]));
+  const cell = (row, column) => (columns[column] ? row[columns[column]] : undefined);
+
+  const entries = [];
+  const errors = [];
+  csvData.forEach((row, index) => {
+    const title = row[indicatorCol];
+    if (!title || title.trim() === '') return;
+    const rowNumber = index + 2; // header is row 1
+
+    const metadata = readIndicatorMetadata(row, resolvedColumns);
+    if (String(metadata.tier ?? '').trim() !== '' && parseTier(metadata.tier) == null) {
+      errors.push({ location: `Row ${rowNumber}`, column: resolvedColumns.tierCol, message: `"${metadata.tier}" is not a tier. Use 1, 2 or 3` });
+    }
+
+    const fieldType = cell(row, 'field_type');
+    if (!fieldType || String(fieldType).trim() === '') {
+      entries.push({
+        heuristic: true,
+        explicitId: resolvedColumns.idCol ? row[resolvedColumns.idCol] : undefined,
+        title,
+        method: row[methodCol] || '',
+        notes: row[notesCol] || '',
+        ...metadata,
+        rows: [rowNumber]
+      });
+      return;
+    }
+
+    const previous = entries[entries.length - 1];
+    const field = normalizeFieldDefinition(
+      Object.fromEntries(DEFINITION_COLUMNS.map(column => [column, cell(row, column)])),
+      title.trim()
+    );
+
+    if (previous && !previous.heuristic && previous.title.trim() === title.trim()) {
+      previous.fields.push(field);
+      previous.rows.push(rowNumber);
+    } else {
+      entries.push({
+        explicitId: resolvedColumns.idCol ? row[resolvedColumns.idCol] : undefined,
+        title,
+        method: row[methodCol] || '',
+        notes: row[notesCol] || '',
+        ...metadata,
+        fields: [field],
+        rows: [rowNumber]
+      });
+    }
+  });
+
+  // A declared indicator takes its id from its first row
+  const ids = assignIndicatorIds(entries.map(entry => ({ id: entry.explicitId, title: entry.title })));
+  ids.forEach(({ error }, index) => {
+    if (error) errors.push({ location: `Row ${entries[index].rows[0]}`, column: resolvedColumns.idCol, message: error });
+  });
+
+  entries
+    .filter(entry => !entry.heuristic)
+    .forEach(entry => errors.push(...validateIndicatorDefinition(entry, fieldIndex => `Row ${entry.rows[fieldIndex]}`)));
+  if (errors.length > 0) throw new IndicatorDefinitionError(errors);
+
+  return entries.map((entry, index) => {
+    const source = { ...entry, id: ids[index].id };
+    return entry.heuristic ? buildIndicator(source) : buildDeclaredIndicator(source);
+  });
+};
+
+/**
+ * Read a JSON indicator definition file (see public/schemas/indicator-definition.schema.json)
+ * Indicators without `fields` use the keyword heuristics on their method text
+ * Throws IndicatorDefinitionError listing every problem found
+ */
+export const parseIndicatorDefinitions = (input) => {
+  let document = input;
+  if (typeof input === 'string') {
+    try {
+      document = JSON.parse(input);
+    } catch {
+      throw new Error('This file is not valid JSON');
+    }
+  }
+
+  if (!document || !Array.isArray(document.indicators)) {
+    throw new IndicatorDefinitionError([{ location: 'indicators', message: 'Expected a list of indicators' }]);
+  }
+  if (document.schemaVersion > DEFINITION_SCHEMA_VERSION) {
+    throw new Error(
+      `These definitions use schema version ${document.schemaVersion}, but this portal only reads up to version ${DEFINITION_SCHEMA_VERSION}. Please update the portal.`
+    );
+  }
+
+  const errors = [];
+  // Indicators without an `id` take one from their title
+  const ids = assignIndicatorIds(document.indicators.map((raw, index) => ({
+    id: raw?.id,
+    title: typeof raw?.title === 'string' && raw.title.trim() ? raw.title : `Indicator ${index + 1}`
+  })));
+  const entries = document.indicators.map((raw, index) => {
+    const path = `indicators[${index}]`;
+    const title = typeof raw?.title === 'string' ? raw.title.trim() : '';
+    if (!title) errors.push({ location: path, column: 'title', message: 'Every indicator needs a title' });
+
+    const { id, error: idError } = ids[index];
+    if (idError) errors.push({ location: path, column: 'id', message: idError });
+
+    if (raw?.tier != null && parseTier(raw.tier) == null) {
+      errors.push({ location: path, column: 'tier', message: 'tier must be 1, 2 or 3' });
+    }
+
+    const entry = {
+      id,
+      title: title || `Indicator ${index + 1}`,
+      method: raw?.method || '',
+      notes: raw?.notes || '',
+      tier: raw?.tier,
+      category: raw?.category,
+      owner: raw?.owner,
+      frequency: raw?.frequency
+    };
+    if (!Array.isArray(raw?.fields) || raw.fields.length === 0) return { ...entry, heuristic: true };
+
+    const fields = raw.fields.map(field => normalizeFieldDefinition(field || {}, entry.title));
+    errors.push(...validateIndicatorDefinition({ title: entry.title, fields }, fieldIndex => `${path}.fields[${fieldIndex}]`));
+    return { ...entry, fields };
+  });
+
+  if (errors.length > 0) throw new IndicatorDefinitionError(errors);
+  return entries.map(entry => (entry.heuristic ? buildIndicator(entry) : buildDeclaredIndicator(entry)));
+};
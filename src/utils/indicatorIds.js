@@ -0,0 +1,211 @@
+// Indicator Identifiers
+// Stable ids from an ID column or the indicator title, and migration of responses between workplan revisions
+
+/**
+ * Where an indicator's id came from
+ */
+export const IdSources = {
+  EXPLICIT: 'explicit', // ID column or `id` in a definition file
+  TITLE: 'title'        // derived from the indicator title
+};
+
+const MAX_SLUG_LENGTH = 48;
+
+// Ids of workplans imported before ids were stable: `indicator_<row index>`
+const POSITIONAL_ID_PATTERN = /^indicator_\d+$/;
+
+export const isPositionalId = (id) => POSITIONAL_ID_PATTERN.test(String(id));
+
+const normalizeTitle = (title) => String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Short, deterministic hash of a string (32-bit FNV-1a, as 8 hex digits)
+ */
+export const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(text)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+/**
+ * Id for an indicator without an explicit one
+ * "Équité salariale (%)" -> "equite_salariale"; long titles are shortened and keep a hash
+ * of the full title, and titles with no Latin letters or digits become "indicator_<hash>"
+ */
+export const titleToId = (title) => {
+  const normalized = normalizeTitle(title);
+  const slug = normalized
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  if (!slug) return `indicator_${hashText(normalized)}`;
+  if (slug.length <= MAX_SLUG_LENGTH) return slug;
+
+  const shortened = slug.slice(0, MAX_SLUG_LENGTH - 9).replace(/_[^_]*$/, '');
+  return `${shortened}_${hashText(normalized)}`;
+};
+
+// Explicit ids become field ids, DOM ids and folder names in report packages, so anything
+// but letters, digits, "_" and "-" is replaced: "../A 1/B" -> "A_1_B"
+const cleanExplicitId = (id) => (
+  id == null ? '' : String(id).trim().replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^[_-]+|[_-]+$/g, '')
+);
+
+/**
+ * Assign ids to workplan entries, in order
+ * `entries` are [{ id?, title }] where `id` is an explicit id (ID column); returns
+ * [{ id, idSource, error? }]. Explicit ids keep their letters, digits, "_" and "-" and are claimed first, so a
+ * title can never take an id the workplan assigns explicitly. Repeated titles get
+ * "_2", "_3"… in order of appearance. A repeated explicit id is reported in `error`.
+ */
+export const assignIndicatorIds = (entries) => {
+  const taken = new Set();
+  const repeated = new Set();
+
+  entries.forEach((entry, index) => {
+    const id = cleanExplicitId(entry.id);
+    if (!id) return;
+    if (taken.has(id)) repeated.add(index);
+    taken.add(id);
+  });
+
+  return entries.map((entry, index) => {
+    const explicit = cleanExplicitId(entry.id);
+    if (explicit) {
+      return repeated.has(index)
+        ? { id: explicit, idSource: IdSources.EXPLICIT, error: `ID "${explicit}" is used more than once` }
+        : { id: explicit, idSource: IdSources.EXPLICIT };
+    }
+
+    const base = titleToId(entry.title);
+    let id = base;
+    for (let n = 2; taken.has(id); n += 1) id = `${base}_${n}`;
+    taken.add(id);
+    return { id, idSource: IdSources.TITLE };
+  });
+};
+
+const fieldKeySignature = (indicator) => indicator.fields.map(field => field.key).sort().join('|');
+
+const normalizeMethod = (method) => String(method || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Pair each indicator with its counterpart in an earlier version of the workplan
+ *
+ * Tried in order, each indicator matching at most once:
+ *   1. the same id (positional ids from older imports must also keep their title)
+ *   2. the same title, for reordered rows and older imports
+ *   3. a single earlier indicator with the same measurement method and fields: a renamed row
+ *
+ * Returns { matches: Map(id -> previous indicator), renamed: Set(id), removed: [previous indicators] }
+ */
+export const matchIndicators = (indicators, previousIndicators) => {
+  const unmatched = new Map(previousIndicators.map(indicator => [indicator.id, indicator]));
+  const matches = new Map();
+  const renamed = new Set();
+
+  const pair = (indicator, previous) => {
+    matches.set(indicator.id, previous);
+    unmatched.delete(previous.id);
+  };
+
+  indicators.forEach(indicator => {
+    const previous = unmatched.get(indicator.id);
+    if (!previous) return;
+    if (normalizeTitle(previous.title) === normalizeTitle(indicator.title)) {
+      pair(indicator, previous);
+    } else if (!isPositionalId(indicator.id)) {
+      pair(indicator, previous);
+      renamed.add(indicator.id);
+    }
+  });
+
+  indicators.forEach(indicator => {
+    if (matches.has(indicator.id)) return;
+    const previous = [...unmatched.values()].find(candidate => (
+      normalizeTitle(candidate.title) === normalizeTitle(indicator.title)
+    ));
+    if (previous) pair(indicator, previous);
+  });
+
+  indicators.forEach(indicator => {
+    if (matches.has(indicator.id) || !normalizeMethod(indicator.method)) return;
+    const candidates = [...unmatched.values()].filter(candidate => (
+      normalizeMethod(candidate.method) === normalizeMethod(indicator.method) &&
+      fieldKeySignature(candidate) === fieldKeySignature(indicator)
+    ));
+    const competing = indicators.filter(other => (
+      !matches.has(other.id) &&
+      normalizeMethod(other.method) === normalizeMethod(indicator.method) &&
+      fieldKeySignature(other) === fieldKeySignature(indicator)
+    ));
+    // Ambiguous when several rows share the method; leave those unmatched
+    if (candidates.length === 1 && competing.length === 1) {
+      pair(indicator, candidates[0]);
+      renamed.add(indicator.id);
+    }
+  });
+
+  return { matches, renamed, removed: [...unmatched.values()] };
+};
+
+/**
+ * Migration map from an earlier version of the workplan to the current one
+ * Fields are matched within a pair of indicators by key; a field whose type changed
+ * starts empty, since its earlier answer may not fit
+ *
+ * Returns {
+ *   indicators: { [previous indicator id]: current indicator id },
+ *   fields: { [previous field id]: current field id },  including "Other" texts and non-response reasons
+ *   renamed: [{ id, previousTitle, title }],
+ *   added: [current indicators with no earlier counterpart],
+ *   removed: [previous indicators with no current counterpart]
+ * }
+ */
+export const createIdMigration = (previousIndicators, indicators) => {
+  const { matches, renamed, removed } = matchIndicators(indicators, previousIndicators);
+  const migration = { indicators: {}, fields: {}, renamed: [], added: [], removed };
+
+  indicators.forEach(indicator => {
+    const previous = matches.get(indicator.id);
+    if (!previous) {
+      migration.added.push(indicator);
+      return;
+    }
+
+    migration.indicators[previous.id] = indicator.id;
+    if (renamed.has(indicator.id)) {
+      migration.renamed.push({ id: indicator.id, previousTitle: previous.title, title: indicator.title });
+    }
+
+    previous.fields.forEach(previousField => {
+      const field = indicator.fields.find(candidate => candidate.key === previousField.key);
+      if (!field || field.type !== previousField.type) return;
+      migration.fields[previousField.id] = field.id;
+      // "Other" free text is stored under `<field id>_other` (see otherResponseId) and
+      // non-response reasons under `<field id>_reason` (see nonResponseId)
+      migration.fields[`${previousField.id}_other`] = `${field.id}_other`;
+      migration.fields[`${previousField.id}_reason`] = `${field.id}_reason`;
+    });
+  });
+
+  return migration;
+};
+
+/**
+ * Re-key responses with a migration map
+ * Responses to fields that no longer exist are dropped
+ */
+export const migrateResponses = (responses, migration) => {
+  const migrated = {};
+  Object.entries(responses || {}).forEach(([fieldId, value]) => {
+    const target = migration.fields[fieldId];
+    if (target) migrated[target] = value;
+  });
+  return migrated;
+};
@@ -0,0 +1,75 @@
+// Local Browser Database
+// Thin promise wrapper around IndexedDB so report data never leaves the browser
+
+const DB_NAME = 'ywc-reporting-portal';
+const DB_VERSION = 4;
+
+/**
+ * Object stores, keyed by store name
+ * Bump DB_VERSION and add an entry to `upgrade` when adding a store or index
+ */
+export const Stores = {
+  DRAFTS: 'drafts',
+  SETTINGS: 'settings',
+  PROFILES: 'profiles',
+  ATTACHMENTS: 'attachments'
+};
+
+const upgrade = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    const drafts = db.createObjectStore(Stores.DRAFTS, { keyPath: 'id' });
+    drafts.createIndex('draftKey', 'draftKey', { unique: false });
+    drafts.createIndex('updatedAt', 'updatedAt', { unique: false });
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(Stores.SETTINGS, { keyPath: 'key' });
+  }
+  if (oldVersion < 3) {
+    db.createObjectStore(Stores.PROFILES, { keyPath: 'organizationCode' });
+  }
+  if (oldVersion < 4) {
+    const attachments = db.createObjectStore(Stores.ATTACHMENTS, { keyPath: 'id' });
+    attachments.createIndex('draftId', 'draftId', { unique: false });
+  }
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the portal database
+ */
+export const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('This browser does not support local storage (IndexedDB)'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Close other tabs running the portal and try again'));
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store and resolve with its result
+ */
+export const runRequest = async (storeName, mode, createRequest) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+  });
+};
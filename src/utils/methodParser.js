@@ -0,0 +1,154 @@
+// Measurement Method Parser
+// Splits workplan "measurement method" text into questions, markers, option lists and scales
+
+/**
+ * Token types, in the order they appear in the text
+ */
+export const MethodTokens = {
+  QUESTION: 'question',   // a sentence ending in "?"
+  YES_NO: 'yes_no',       // "(Yes/No)" or "yes/no"
+  CHECK_ALL: 'check_all', // "(Check all that apply):"
+  OPTION: 'option',       // one "☐ Option" item
+  OPTIONS: 'options',     // an "Options: A, B, C" list
+  SCALE: 'scale',         // a rating range such as "1-5" or "1 to 10"
+  TEXT: 'text'            // anything else
+};
+
+const MAX_SCALE_POINTS = 11;
+
+/**
+ * Marker patterns, tried in order at each word start; all are sticky (`y`) so they
+ * only match exactly where the scan is. Keyword matching is case-insensitive.
+ */
+const PATTERNS = [
+  { type: MethodTokens.YES_NO, pattern: /\(\s*yes\s*\/\s*no\s*\)|yes\s*\/\s*no\b/iy },
+  { type: MethodTokens.CHECK_ALL, pattern: /\(?\s*check all that apply\s*\)?\s*:?/iy },
+  { type: MethodTokens.OPTION, pattern: /☐\s*([^☐\n]*)/y },
+  { type: MethodTokens.OPTIONS, pattern: /options?\s*:\s*([^\n?]*)/iy },
+  { type: MethodTokens.SCALE, pattern: /(\d{1,2})\s*(?:-|–|to)\s*(\d{1,2})(?!\d)/iy }
+];
+
+const isWordStart = (text, position) => position === 0 || !/[\p{L}\p{N}]/u.test(text[position - 1]);
+
+const cleanText = (text) => text.replace(/^[\s;:,.]+|[\s;:,]+$/g, '');
+
+/**
+ * Split free text into question and text tokens
+ */
+const textTokens = (text) => {
+  const tokens = [];
+  const pattern = /[^?]*\?|[^?]+$/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null && match[0] !== '') {
+    const part = cleanText(match[0]);
+    if (!part) continue;
+    tokens.push({ type: part.endsWith('?') ? MethodTokens.QUESTION : MethodTokens.TEXT, text: part });
+  }
+
+  return tokens;
+};
+
+const markerToken = (type, match) => {
+  switch (type) {
+    case MethodTokens.OPTION:
+      return { type, text: cleanText(match[1]) };
+    case MethodTokens.OPTIONS:
+      return {
+        type,
+        text: match[0].trim(),
+        options: match[1].split(/[,;|]|\s\/\s/).map(cleanText).filter(Boolean)
+      };
+    case MethodTokens.SCALE: {
+      const min = Number(match[1]);
+      const max = Number(match[2]);
+      // Anything else (e.g. "10-12 staff") is ordinary text
+      if (min > 1 || max <= min || max - min + 1 > MAX_SCALE_POINTS) return null;
+      return { type, text: match[0], min, max };
+    }
+    default:
+      return { type, text: match[0].trim() };
+  }
+};
+
+/**
+ * Tokenize measurement method text
+ * Returns [{ type, text, options?, min?, max? }]
+ */
+export const tokenizeMethod = (text) => {
+  const source = String(text ?? '');
+  const tokens = [];
+  let pending = '';
+  let position = 0;
+
+  const flush = () => {
+    tokens.push(...textTokens(pending));
+    pending = '';
+  };
+
+  while (position < source.length) {
+    let token = null;
+    let length = 0;
+
+    if (isWordStart(source, position)) {
+      for (const { type, pattern } of PATTERNS) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+        if (!match) continue;
+        token = markerToken(type, match);
+        if (token) {
+          length = match[0].length;
+          break;
+        }
+      }
+    }
+
+    if (token) {
+      flush();
+      tokens.push(token);
+      position += length;
+    } else {
+      pending += source[position];
+      position += 1;
+    }
+  }
+
+  flush();
+  return tokens;
+};
+
+const questionBefore = (tokens, index) => (
+  index > 0 && tokens[index - 1].type === MethodTokens.QUESTION ? tokens[index - 1].text : null
+);
+
+/**
+ * Summarize measurement method text
+ *
+ * Returns {
+ *   tokens,
+ *   questions: every question, in order
+ *   hasYesNo, yesNoQuestion: the question directly before "(Yes/No)"
+ *   hasCheckAll, checkAllQuestion: the question directly before "Check all that apply"
+ *   options: "☐" option labels, in order
+ *   listOptions: labels from an "Options:" list
+ *   scale: { min, max } | null
+ * }
+ */
+export const parseMethod = (text) => {
+  const tokens = tokenizeMethod(text);
+  const yesNoIndex = tokens.findIndex(token => token.type === MethodTokens.YES_NO);
+  const checkAllIndex = tokens.findIndex(token => token.type === MethodTokens.CHECK_ALL);
+  const scale = tokens.find(token => token.type === MethodTokens.SCALE);
+
+  return {
+    tokens,
+    questions: tokens.filter(token => token.type === MethodTokens.QUESTION).map(token => token.text),
+    hasYesNo: yesNoIndex !== -1,
+    yesNoQuestion: yesNoIndex === -1 ? null : questionBefore(tokens, yesNoIndex),
+    hasCheckAll: checkAllIndex !== -1,
+    checkAllQuestion: checkAllIndex === -1 ? null : questionBefore(tokens, checkAllIndex),
+    options: tokens.filter(token => token.type === MethodTokens.OPTION && token.text).map(token => token.text),
+    listOptions: tokens.filter(token => token.type === MethodTokens.OPTIONS).flatMap(token => token.options),
+    scale: scale ? { min: scale.min, max: scale.max } : null
+  };
+};
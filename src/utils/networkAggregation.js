@@ -0,0 +1,218 @@
+// Network Aggregation
+// Combines exported reports from many organizations into per-indicator summaries
+
+import {
+  FieldTypes,
+  Calculations,
+  calculateCompletionScore,
+  calculateDataQuality,
+  getNonResponseReason,
+  getOptionLabel,
+  isEmptyValue,
+  isFieldVisible,
+  NonResponseReasons,
+  OTHER_OPTION_VALUE
+} from './dataEngine';
+
+const NUMERIC_TYPES = [
+  FieldTypes.NUMBER,
+  FieldTypes.CURRENCY,
+  FieldTypes.PERCENTAGE,
+  FieldTypes.CALCULATED,
+  FieldTypes.RATIO
+];
+
+const OPTION_TYPES = [
+  FieldTypes.RADIO,
+  FieldTypes.CHECKBOX,
+  FieldTypes.DROPDOWN,
+  FieldTypes.SCALE
+];
+
+/**
+ * Key grouping the same indicator across organizations
+ * Workplans differ between organizations, so indicators are grouped by title
+ */
+export const indicatorKey = (indicator) => String(indicator.title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Value at a given fraction (0-1) of a sorted list, interpolating between neighbours
+ */
+export const quantile = (sorted, fraction) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Median, range and quartiles of numeric answers
+ * `entries` are { organization, organizationId, value }; the sorted list is kept for distribution charts
+ */
+export const summarizeNumeric = (entries) => {
+  const sorted = [...entries].sort((a, b) => a.value - b.value);
+  const values = sorted.map(entry => entry.value);
+
+  return {
+    count: values.length,
+    min: values.length ? values[0] : null,
+    max: values.length ? values[values.length - 1] : null,
+    median: quantile(values, 0.5),
+    lowerQuartile: quantile(values, 0.25),
+    upperQuartile: quantile(values, 0.75),
+    mean: values.length ? Calculations.average(values) : null,
+    values: sorted
+  };
+};
+
+/**
+ * How often each option was chosen
+ * For checkboxes the percentage is the share of respondents selecting that option,
+ * so percentages can add up to more than 100
+ */
+export const summarizeOptions = (field, answers) => {
+  const counts = new Map((field.options || []).map(option => [String(option.value), 0]));
+
+  answers.forEach(value => {
+    (Array.isArray(value) ? value : [value]).forEach(selected => {
+      const key = String(selected);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+
+  return {
+    count: answers.length,
+    options: [...counts.entries()].map(([value, count]) => ({
+      value,
+      label: value === OTHER_OPTION_VALUE ? 'Other' : getOptionLabel(field, value),
+      count,
+      percentage: answers.length > 0 ? Math.round((count / answers.length) * 100) : 0
+    }))
+  };
+};
+
+// Reports with the same code (or name, when there is no code) come from the same organization
+const organizationIdFor = (report) => (
+  report.organization?.code || report.organization?.name || report.fileName || 'Unknown Organization'
+);
+
+const emptyReasonCounts = () => Object.fromEntries(Object.values(NonResponseReasons).map(reason => [reason, 0]));
+
+/**
+ * Completion and data quality for each organization's report
+ */
+export const summarizeOrganization = (report) => ({
+  name: report.organization?.name || 'Unknown Organization',
+  code: report.organization?.code || null,
+  fileName: report.fileName || null,
+  periodLabel: report.period?.label || null,
+  indicatorCount: report.indicators.length,
+  completion: calculateCompletionScore(report.indicators, report.responses),
+  quality: calculateDataQuality(report.indicators, report.responses)
+});
+
+/**
+ * Aggregate reports returned by `parseReport` (each optionally with a `fileName`)
+ *
+ * Returns {
+ *   organizations: [summarizeOrganization(...)],
+ *   organizationCount: number of distinct organizations,
+ *   periods: [distinct period labels],
+ *   duplicates: [{ code, periodLabel, fileNames, reportIndexes }],
+ *   indicators: [{
+ *     key, title, tier, organizationCount,
+ *     fields: [{ key, label, type, format, kind: 'numeric' | 'options' | 'text', respondents, nonResponses, summary }]
+ *   }]
+ * }
+ * Text answers are counted but not summarized, since they are not comparable.
+ * Fields marked "not applicable", "prefer not to disclose" or "unknown" are counted by
+ * reason in `nonResponses` and left out of `respondents` and every summary.
+ * Organizations are told apart by organizationIdFor; of several reports from one organization
+ * for the same period (`duplicates`) only the first feeds the indicator summaries
+ */
+export const aggregateReports = (reports) => {
+  const seen = new Map();
+  reports.forEach((report, reportIndex) => {
+    const id = `${organizationIdFor(report)}|${report.period?.label || ''}`;
+    seen.set(id, [...(seen.get(id) || []), { report, reportIndex }]);
+  });
+  const duplicates = [...seen.values()]
+    .filter(group => group.length > 1)
+    .map(group => ({
+      code: group[0].report.organization?.code || group[0].report.organization?.name,
+      periodLabel: group[0].report.period?.label || null,
+      fileNames: group.map(({ report }) => report.fileName),
+      reportIndexes: group.map(({ reportIndex }) => reportIndex)
+    }));
+  const repeatedReports = new Set(duplicates.flatMap(duplicate => duplicate.reportIndexes.slice(1)));
+
+  const groups = new Map();
+  reports.forEach((report, reportIndex) => {
+    if (repeatedReports.has(reportIndex)) return;
+    const organization = report.organization?.name || report.fileName || 'Unknown Organization';
+    const organizationId = organizationIdFor(report);
+
+    report.indicators.forEach(indicator => {
+      const key = indicatorKey(indicator);
+      if (!groups.has(key)) {
+        groups.set(key, { key, title: indicator.title, tier: indicator.tier, organizations: new Set(), fields: new Map() });
+      }
+      const group = groups.get(key);
+      group.organizations.add(organizationId);
+
+      indicator.fields.forEach(field => {
+        if (!group.fields.has(field.key)) {
+          group.fields.set(field.key, { field, answers: [], nonResponses: emptyReasonCounts() });
+        }
+        const entry = group.fields.get(field.key);
+        const value = report.responses[field.id];
+        if (entry.field.type !== field.type) return;
+        if (!isFieldVisible(field, report.responses)) return;
+
+        const reason = getNonResponseReason(field, report.responses);
+        if (reason) entry.nonResponses[reason]++;
+        if (isEmptyValue(value)) return;
+
+        entry.answers.push({ organization, organizationId, value });
+      });
+    });
+  });
+
+  const indicators = [...groups.values()].map(group => ({
+    key: group.key,
+    title: group.title,
+    tier: group.tier,
+    organizationCount: group.organizations.size,
+    fields: [...group.fields.values()].map(({ field, answers, nonResponses }) => {
+      const base = {
+        key: field.key,
+        label: field.label,
+        type: field.type,
+        format: field.format || null,
+        respondents: answers.length,
+        nonResponses
+      };
+
+      if (NUMERIC_TYPES.includes(field.type)) {
+        const numeric = answers
+          .map(answer => ({ ...answer, value: Number(answer.value) }))
+          .filter(answer => Number.isFinite(answer.value));
+        return { ...base, kind: 'numeric', summary: summarizeNumeric(numeric) };
+      }
+      if (OPTION_TYPES.includes(field.type)) {
+        return { ...base, kind: 'options', summary: summarizeOptions(field, answers.map(answer => answer.value)) };
+      }
+      return { ...base, kind: 'text', summary: null };
+    })
+  }));
+
+  return {
+    organizations: reports.map(summarizeOrganization),
+    organizationCount: new Set(reports.map(organizationIdFor)).size,
+    periods: [...new Set(reports.map(report => report.period?.label).filter(Boolean))],
+    duplicates,
+    indicators
+  };
+};
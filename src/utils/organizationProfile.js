@@ -0,0 +1,177 @@
+// Organization Profiles
+// Slow-changing facts about each organization, carried from one reporting period to the next
+
+import { Stores, runRequest } from './localDb';
+import {
+  FieldTypes,
+  getOtherText,
+  isEmptyValue,
+  isFieldVisible,
+  otherResponseId,
+  OTHER_OPTION_VALUE
+} from './dataEngine';
+
+/**
+ * Profile attributes and the indicator fields they are read from and pre-fill
+ * `indicator` matches the indicator title; `sourceFields` are tried in order,
+ * and `prefillFields` receive the value in the next period's report
+ */
+export const PROFILE_ATTRIBUTES = [
+  {
+    key: 'staffCount',
+    label: 'Staff count',
+    indicator: /turnover|retention/i,
+    sourceFields: ['staffAtEnd'],
+    // Staff at the end of last period are the staff at the start of this one
+    prefillFields: ['staffAtStart']
+  },
+  {
+    key: 'boardSize',
+    label: 'Board size',
+    indicator: /board.*(size|members|composition)/i,
+    sourceFields: ['main'],
+    prefillFields: ['main']
+  },
+  {
+    key: 'benefitsOffered',
+    label: 'Benefits offered',
+    indicator: /wellness|benefit/i,
+    sourceFields: ['details', 'main'],
+    prefillFields: ['details', 'main']
+  },
+  {
+    key: 'hasBenefitsPackage',
+    label: 'Formal benefits package',
+    indicator: /wellness|benefit/i,
+    sourceFields: ['hasProgram'],
+    prefillFields: ['hasProgram']
+  },
+  {
+    key: 'auditType',
+    label: 'Audit type',
+    indicator: /audit|review engagement/i,
+    sourceFields: ['main'],
+    prefillFields: ['main']
+  },
+  {
+    key: 'disclosureChannels',
+    label: 'Disclosure channels',
+    indicator: /disclos|transparen/i,
+    sourceFields: ['main'],
+    prefillFields: ['main']
+  }
+];
+
+const OPTION_TYPES = [FieldTypes.RADIO, FieldTypes.CHECKBOX, FieldTypes.DROPDOWN, FieldTypes.SCALE];
+
+const fieldsFor = (attribute, indicators, fieldKeys) => indicators
+  .filter(indicator => attribute.indicator.test(indicator.title))
+  .flatMap(indicator => {
+    const field = fieldKeys.map(key => indicator.fields.find(f => f.key === key)).find(Boolean);
+    return field ? [field] : [];
+  });
+
+/**
+ * Read profile attributes from a completed report
+ * Returns { [attributeKey]: { value, otherText?, type, periodLabel, periodEnd } }
+ */
+export const extractProfileValues = (indicators, responses, period) => {
+  const values = {};
+
+  PROFILE_ATTRIBUTES.forEach(attribute => {
+    const field = fieldsFor(attribute, indicators, attribute.sourceFields)
+      .find(candidate => isFieldVisible(candidate, responses) && !isEmptyValue(responses[candidate.id]));
+    if (!field) return;
+
+    const otherText = getOtherText(field, responses);
+    values[attribute.key] = {
+      value: responses[field.id],
+      ...(otherText && { otherText }),
+      type: field.type,
+      periodLabel: period?.label || null,
+      periodEnd: period?.end || null
+    };
+  });
+
+  return values;
+};
+
+/**
+ * Make a stored value fit a field, or return null if it no longer does
+ * Options that were removed from the field are dropped
+ */
+const adaptValue = (field, stored) => {
+  if (stored.type !== field.type) return null;
+  if (!OPTION_TYPES.includes(field.type)) return stored.value;
+
+  const known = new Set((field.options || []).map(option => String(option.value)));
+  if (Array.isArray(stored.value)) {
+    const kept = stored.value.filter(value => known.has(String(value)));
+    return kept.length > 0 ? kept : null;
+  }
+  return known.has(String(stored.value)) ? stored.value : null;
+};
+
+/**
+ * Pre-fill values for a new report from an organization's profile
+ * Only empty fields are filled
+ * Returns { responses, prefilled: { [fieldId]: { attribute, label, periodLabel } } }
+ */
+export const buildPrefill = (profile, indicators, responses = {}) => {
+  const filled = {};
+  const prefilled = {};
+  if (!profile) return { responses: filled, prefilled };
+
+  PROFILE_ATTRIBUTES.forEach(attribute => {
+    const stored = profile.values?.[attribute.key];
+    if (!stored) return;
+
+    fieldsFor(attribute, indicators, attribute.prefillFields).forEach(field => {
+      if (!isEmptyValue(responses[field.id]) || prefilled[field.id]) return;
+      const value = adaptValue(field, stored);
+      if (isEmptyValue(value)) return;
+
+      filled[field.id] = value;
+      const selected = Array.isArray(value) ? value : [value];
+      if (stored.otherText && selected.includes(OTHER_OPTION_VALUE)) {
+        filled[otherResponseId(field)] = stored.otherText;
+      }
+      prefilled[field.id] = { attribute: attribute.key, label: attribute.label, periodLabel: stored.periodLabel };
+    });
+  });
+
+  return { responses: filled, prefilled };
+};
+
+export const getProfile = (organizationCode) => runRequest(
+  Stores.PROFILES,
+  'readonly',
+  store => store.get(organizationCode)
+);
+
+/**
+ * Update an organization's profile from a submitted report
+ * Values from a report for an earlier period never replace newer ones
+ */
+export const updateProfileFromReport = async ({ organization, period, indicators, responses }) => {
+  if (!organization?.code) return null;
+
+  const existing = await getProfile(organization.code);
+  const values = { ...(existing?.values || {}) };
+
+  Object.entries(extractProfileValues(indicators, responses, period)).forEach(([key, entry]) => {
+    const current = values[key];
+    if (current?.periodEnd && entry.periodEnd && entry.periodEnd < current.periodEnd) return;
+    values[key] = entry;
+  });
+
+  const profile = {
+    organizationCode: organization.code,
+    organizationName: organization.name,
+    updatedAt: new Date().toISOString(),
+    values
+  };
+
+  await runRequest(Stores.PROFILES, 'readwrite', store => store.put(profile));
+  return profile;
+};
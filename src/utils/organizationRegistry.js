@@ -0,0 +1,263 @@
+// Organization Registry
+// Member organizations the portal can recognize, and the rules used to detect them
+
+import Papa from 'papaparse';
+import { Stores, runRequest } from './localDb';
+
+/**
+ * Built-in registry used until a registry file is loaded
+ */
+export const DEFAULT_ORGANIZATIONS = [
+  { code: 'VFWC', name: 'Victoria Family Works Centre', aliases: [] },
+  { code: 'WAWC', name: 'Women\'s Action Women\'s Centre', aliases: [] },
+  { code: 'VCWS', name: 'Victoria Community Women\'s Shelter', aliases: [] },
+  { code: 'CWWA', name: 'Community Women\'s Worker Association', aliases: [] },
+  { code: 'YWCA', name: 'YWCA Victoria', aliases: [] }
+];
+
+export const UNKNOWN_ORGANIZATION = { name: 'Organization', code: 'ORG' };
+
+/**
+ * Where a detected organization came from, strongest first
+ */
+export const MatchSources = {
+  COLUMN: 'column',     // an Organization column in the CSV
+  FILENAME: 'filename', // the uploaded file's name
+  ALIAS: 'alias',       // a name or alias mentioned in the indicator text
+  NONE: 'none'
+};
+
+const CONFIDENCE = {
+  columnCode: 1,
+  columnName: 0.95,
+  columnUnregistered: 0.5,
+  filename: 0.8,
+  alias: 0.4
+};
+
+const ORGANIZATION_COLUMN_PATTERN = /^(organi[sz]ation|org)(\s*(code|name|id))?$/i;
+
+const REGISTRY_COLUMNS = {
+  code: ['code', 'organization code', 'org code'],
+  name: ['name', 'organization', 'organization name'],
+  aliases: ['aliases', 'alias', 'also known as'],
+  region: ['region'],
+  sizeBand: ['size band', 'size_band', 'sizeband', 'size'],
+  fundingType: ['funding type', 'funding_type', 'fundingtype', 'funding']
+};
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace so names compare as words
+ */
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const containsPhrase = (text, phrase) => phrase !== '' && ` ${text} `.includes(` ${phrase} `);
+
+const namesFor = (organization) => [organization.name, ...(organization.aliases || [])]
+  .map(normalizeText)
+  .filter(Boolean);
+
+/**
+ * Clean up one registry entry; returns { organization } or { error }
+ */
+const normalizeEntry = (entry, index) => {
+  const code = String(entry.code || '').trim().toUpperCase();
+  const name = String(entry.name || '').trim();
+  if (!code) return { error: `Entry ${index + 1}: missing organization code` };
+  if (!name) return { error: `Entry ${index + 1} (${code}): missing organization name` };
+
+  const aliases = Array.isArray(entry.aliases)
+    ? entry.aliases
+    : String(entry.aliases || '').split(/[;|]/);
+
+  return {
+    organization: {
+      code,
+      name,
+      aliases: aliases.map(alias => String(alias).trim()).filter(Boolean),
+      region: entry.region ? String(entry.region).trim() : null,
+      sizeBand: entry.sizeBand ? String(entry.sizeBand).trim() : null,
+      fundingType: entry.fundingType ? String(entry.fundingType).trim() : null
+    }
+  };
+};
+
+const csvRowToEntry = (row) => {
+  const entry = {};
+  Object.entries(row).forEach(([header, value]) => {
+    const normalized = header.trim().toLowerCase();
+    const field = Object.keys(REGISTRY_COLUMNS).find(key => REGISTRY_COLUMNS[key].includes(normalized));
+    if (field && entry[field] === undefined) entry[field] = value;
+  });
+  return entry;
+};
+
+/**
+ * Read a registry file
+ * JSON: an array of entries, or { organizations: [...] }
+ * CSV: columns code, name, aliases (separated by ";"), region, size band, funding type
+ * Returns { organizations, errors }; invalid or duplicate entries are reported and skipped
+ */
+export const parseRegistry = (text, fileName = '') => {
+  let entries;
+
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new Error('This file is not valid JSON');
+    }
+    entries = Array.isArray(parsed) ? parsed : parsed?.organizations;
+    if (!Array.isArray(entries)) {
+      throw new Error('Registry JSON must be a list of organizations or { "organizations": [...] }');
+    }
+  } else {
+    const results = Papa.parse(text, { header: true, skipEmptyLines: true });
+    if (results.errors.length > 0) {
+      throw new Error(`Row ${results.errors[0].row + 2}: ${results.errors[0].message}`);
+    }
+    entries = results.data.map(csvRowToEntry);
+  }
+
+  const organizations = [];
+  const errors = [];
+  const seenCodes = new Set();
+
+  entries.forEach((entry, index) => {
+    const { organization, error } = normalizeEntry(entry || {}, index);
+    if (error) {
+      errors.push(error);
+    } else if (seenCodes.has(organization.code)) {
+      errors.push(`Entry ${index + 1}: duplicate organization code ${organization.code}`);
+    } else {
+      seenCodes.add(organization.code);
+      organizations.push(organization);
+    }
+  });
+
+  if (organizations.length === 0) {
+    throw new Error(errors[0] || 'The registry has no organizations');
+  }
+
+  return { organizations, errors };
+};
+
+/**
+ * Find registry organizations matching a piece of text under one rule
+ * `exact` compares the whole text; otherwise names must appear as whole words
+ */
+const matchText = (registry, text, { exact, includeCode = true }) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+
+  return registry.filter(organization => {
+    const names = includeCode ? [normalizeText(organization.code), ...namesFor(organization)] : namesFor(organization);
+    if (exact) return names.includes(normalized);
+    return names.some(name => containsPhrase(normalized, name));
+  });
+};
+
+/**
+ * Detect which organization a workplan CSV belongs to
+ *
+ * Rules are applied in a fixed order and the first unambiguous match wins:
+ *   1. an Organization / Org Code column (exact code, name or alias)
+ *   2. the uploaded file's name (code, name or alias as whole words)
+ *   3. a full name or alias mentioned in the indicator text (whole words only)
+ *      Bare codes are ignored here: a note mentioning "YWCA" does not make the workplan YWCA's
+ *
+ * Returns { organization, source, confidence (0-1), matchedText, candidates }
+ * `organization` is null when nothing matched; `candidates` lists ties that need a person to decide
+ */
+export const matchOrganization = ({ csvData = [], fileName = '', registry = DEFAULT_ORGANIZATIONS }) => {
+  const candidates = new Map();
+  const result = (organization, source, confidence, matchedText) => ({
+    organization,
+    source,
+    confidence,
+    matchedText,
+    candidates: [...candidates.values()]
+  });
+
+  // 1. Explicit column
+  const columns = csvData.length > 0 ? Object.keys(csvData[0]).filter(key => ORGANIZATION_COLUMN_PATTERN.test(key.trim())) : [];
+  const columnValues = [...new Set(
+    csvData.flatMap(row => columns.map(column => String(row[column] || '').trim())).filter(Boolean)
+  )];
+
+  if (columnValues.length > 0) {
+    const matched = new Map();
+    columnValues.forEach(value => {
+      matchText(registry, value, { exact: true }).forEach(organization => matched.set(organization.code, { organization, value }));
+    });
+
+    if (matched.size === 1) {
+      const [{ organization, value }] = matched.values();
+      const isCode = normalizeText(value) === normalizeText(organization.code);
+      return result(organization, MatchSources.COLUMN, isCode ? CONFIDENCE.columnCode : CONFIDENCE.columnName, value);
+    }
+    matched.forEach(({ organization }) => candidates.set(organization.code, organization));
+
+    // A single value that is not in the registry is still the organization's own answer
+    if (matched.size === 0 && columnValues.length === 1) {
+      return result(
+        { name: columnValues[0], code: null },
+        MatchSources.COLUMN,
+        CONFIDENCE.columnUnregistered,
+        columnValues[0]
+      );
+    }
+  }
+
+  // 2. File name
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  const fileMatches = matchText(registry, baseName, { exact: false });
+  if (fileMatches.length === 1) {
+    return result(fileMatches[0], MatchSources.FILENAME, CONFIDENCE.filename, fileName);
+  }
+  fileMatches.forEach(organization => candidates.set(organization.code, organization));
+
+  // 3. Names and aliases in the indicator text
+  const contentText = csvData
+    .flatMap(row => Object.entries(row).filter(([key]) => !columns.includes(key)).map(([, value]) => value))
+    .join(' ');
+  const contentMatches = matchText(registry, contentText, { exact: false, includeCode: false });
+  if (contentMatches.length === 1) {
+    const organization = contentMatches[0];
+    const normalized = normalizeText(contentText);
+    const phrase = namesFor(organization).find(name => containsPhrase(normalized, name));
+    return result(organization, MatchSources.ALIAS, CONFIDENCE.alias, phrase);
+  }
+  contentMatches.forEach(organization => candidates.set(organization.code, organization));
+
+  return result(null, MatchSources.NONE, 0, null);
+};
+
+const REGISTRY_SETTING_KEY = 'organizationRegistry';
+
+/**
+ * Load the saved registry, falling back to the built-in list
+ */
+export const loadRegistry = async () => {
+  const saved = await runRequest(Stores.SETTINGS, 'readonly', store => store.get(REGISTRY_SETTING_KEY));
+  return saved?.value || { organizations: DEFAULT_ORGANIZATIONS, fileName: null };
+};
+
+export const saveRegistry = (registry) => runRequest(
+  Stores.SETTINGS,
+  'readwrite',
+  store => store.put({ key: REGISTRY_SETTING_KEY, value: registry, updatedAt: new Date().toISOString() })
+);
+
+export const resetRegistry = () => runRequest(
+  Stores.SETTINGS,
+  'readwrite',
+  store => store.delete(REGISTRY_SETTING_KEY)
+);
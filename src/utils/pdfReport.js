@@ -0,0 +1,352 @@
+// PDF Report Generator
+// Builds a printable report for boards and funders from the standardized responses
+
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { format } from 'date-fns';
+import {
+  TierLabels,
+  describeIndicatorMetadata,
+  formatFieldValue,
+  getOtherText,
+  getNonResponseReason,
+  isFieldVisible,
+  NonResponseLabels,
+  checkIndicatorConsistency,
+  calculateCompletionScore,
+  calculateDataQuality,
+  calculateIndicatorQuality,
+  QualityFlagLabels
+} from './dataEngine';
+import { comparisonRows } from './periodComparison';
+import { benchmarkRows, formatBenchmarkValue } from './benchmarks';
+import { formatFileSize, hasEvidence } from './evidence';
+
+const PAGE_MARGIN = 20;
+const BRAND_COLOR = [2, 132, 199]; // primary-600
+const MUTED_COLOR = [107, 114, 128]; // gray-500
+
+/**
+ * Move to a new page when fewer than `needed` points remain
+ */
+const ensureSpace = (doc, y, needed) => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  if (y + needed > pageHeight - PAGE_MARGIN) {
+    doc.addPage();
+    return PAGE_MARGIN;
+  }
+  return y;
+};
+
+/**
+ * Write wrapped text and return the y position below it
+ */
+const writeParagraph = (doc, text, y, { size = 10, color = [55, 65, 81], style = 'normal' } = {}) => {
+  const width = doc.internal.pageSize.getWidth() - PAGE_MARGIN * 2;
+  doc.setFont('helvetica', style);
+  doc.setFontSize(size);
+  doc.setTextColor(...color);
+
+  const lines = doc.splitTextToSize(text, width);
+  const lineHeight = size * 0.5;
+  lines.forEach(line => {
+    y = ensureSpace(doc, y, lineHeight);
+    doc.text(line, PAGE_MARGIN, y);
+    y += lineHeight;
+  });
+
+  return y;
+};
+
+/**
+ * Sign-off details of a submitted report, for the cover summary
+ */
+const signOffRows = (submission) => {
+  if (!submission) return [];
+  return [
+    ['Submitted', format(new Date(submission.submittedAt), 'MMMM d, yyyy')],
+    ['Prepared by', [submission.preparer?.name, submission.preparer?.role].filter(Boolean).join(', ')],
+    ['Approved by', `${submission.boardApprover} (${submission.approvalDate})`],
+    ...(submission.contentHash ? [[`Content hash (${submission.contentHash.algorithm})`, submission.contentHash.value]] : [])
+  ];
+};
+
+/**
+ * Cover page: organization, period, headline scores and sign-off
+ */
+const renderCoverPage = (doc, { organization, period, indicators, responses, submission, generatedAt }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, pageWidth, 8, 'F');
+
+  let y = 50;
+  y = writeParagraph(doc, 'YWC Reporting Portal', y, { size: 12, color: MUTED_COLOR });
+  y = writeParagraph(doc, 'Indicator Report', y + 2, { size: 26, color: [17, 24, 39], style: 'bold' });
+  y = writeParagraph(doc, organization?.name || 'Unknown Organization', y + 8, { size: 16, color: [17, 24, 39] });
+  if (organization?.code) {
+    y = writeParagraph(doc, `Organization code: ${organization.code}`, y + 1, { color: MUTED_COLOR });
+  }
+  y = writeParagraph(doc, `Reporting period: ${period?.label || 'Not specified'}`, y + 4, { size: 12 });
+  y = writeParagraph(doc, `Generated: ${format(generatedAt, 'MMMM d, yyyy')}`, y + 1, { size: 12 });
+
+  const completion = calculateCompletionScore(indicators, responses);
+  const quality = calculateDataQuality(indicators, responses);
+
+  const tierCounts = [1, 2, 3].map(tier => [
+    `Tier ${tier} (${TierLabels[tier]}) indicators`,
+    String(indicators.filter(indicator => indicator.tier === tier).length)
+  ]);
+
+  autoTable(doc, {
+    startY: y + 12,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+    head: [['Summary', '']],
+    body: [
+      ['Completion', `${completion.percentage}% (${completion.completed} of ${completion.total} fields)`],
+      ['Data quality score', `${quality.overallScore}%`],
+      ['Completeness', `${quality.completeness}%`],
+      ['Standardization', `${quality.standardization}%`],
+      ['Answers lowering data quality', String(quality.flagCount)],
+      ...tierCounts,
+      ...signOffRows(submission)
+    ],
+    theme: 'grid',
+    headStyles: { fillColor: BRAND_COLOR },
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 80 } }
+  });
+};
+
+/**
+ * One section per indicator, grouped by tier
+ */
+const renderIndicatorSections = (doc, { indicators, responses }) => {
+  doc.addPage();
+  let y = PAGE_MARGIN;
+
+  [1, 2, 3].forEach(tier => {
+    const tierIndicators = indicators.filter(indicator => indicator.tier === tier);
+    if (tierIndicators.length === 0) return;
+
+    y = ensureSpace(doc, y, 30);
+    y = writeParagraph(doc, `Tier ${tier}: ${TierLabels[tier]}`, y + 4, { size: 16, color: BRAND_COLOR, style: 'bold' });
+
+    tierIndicators.forEach(indicator => {
+      y = ensureSpace(doc, y, 40);
+      y = writeParagraph(doc, indicator.title, y + 4, { size: 12, color: [17, 24, 39], style: 'bold' });
+      const metadata = describeIndicatorMetadata(indicator);
+      if (metadata.length > 0) {
+        y = writeParagraph(doc, metadata.join('  •  '), y + 1, { size: 9, color: MUTED_COLOR });
+      }
+      if (indicator.description) {
+        y = writeParagraph(doc, indicator.description, y + 1, { size: 9, color: MUTED_COLOR });
+      }
+      const quality = calculateIndicatorQuality(indicator, responses);
+      if (quality.totalFields > 0) {
+        y = writeParagraph(
+          doc,
+          `Data quality ${quality.overallScore}% (completeness ${quality.completeness}%, standardization ${quality.standardization}%)`,
+          y + 1,
+          { size: 9, color: MUTED_COLOR }
+        );
+      }
+
+      const rows = indicator.fields
+        .filter(field => isFieldVisible(field, responses))
+        .map(field => {
+          const reason = getNonResponseReason(field, responses);
+          return [
+            field.label,
+            reason
+              ? NonResponseLabels[reason]
+              : formatFieldValue(field, responses[field.id], getOtherText(field, responses)) ?? 'Not answered'
+          ];
+        });
+
+      autoTable(doc, {
+        startY: y + 2,
+        margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+        head: [['Field', 'Response']],
+        body: rows,
+        theme: 'striped',
+        headStyles: { fillColor: [75, 85, 99] },
+        columnStyles: { 0: { cellWidth: 90 } },
+        styles: { fontSize: 9 }
+      });
+      y = doc.lastAutoTable.finalY + 4;
+
+      checkIndicatorConsistency(indicator, responses).forEach(result => {
+        y = writeParagraph(doc, `${result.severity === 'error' ? 'Error' : 'Note'}: ${result.message}`, y + 1, {
+          size: 9,
+          color: [180, 83, 9],
+          style: 'italic'
+        });
+      });
+
+      quality.flags.forEach(flag => {
+        y = writeParagraph(doc, `Data quality: ${flag.label}: ${QualityFlagLabels[flag.flag]}`, y + 1, {
+          size: 9,
+          color: MUTED_COLOR,
+          style: 'italic'
+        });
+      });
+
+      y += 4;
+    });
+  });
+};
+
+/**
+ * Comparison with the prior period's report, including indicators added or removed
+ */
+const renderComparison = (doc, comparison) => {
+  doc.addPage();
+  let y = writeParagraph(doc, 'Comparison with previous period', PAGE_MARGIN + 4, {
+    size: 16,
+    color: BRAND_COLOR,
+    style: 'bold'
+  });
+  y = writeParagraph(doc, `Previous period: ${comparison.previousPeriod?.label || 'Not specified'}`, y + 1, {
+    color: MUTED_COLOR
+  });
+
+  const statusLabel = { added: 'New', removed: 'Removed' };
+
+  autoTable(doc, {
+    startY: y + 4,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+    head: [['Indicator', 'Field', 'Previous', 'Current', 'Change']],
+    body: comparisonRows(comparison).map(row => [
+      statusLabel[row.status] ? `${row.indicatorTitle} (${statusLabel[row.status]})` : row.indicatorTitle,
+      row.fieldLabel,
+      row.previous ?? '—',
+      row.current ?? '—',
+      row.change ?? ''
+    ]),
+    theme: 'striped',
+    headStyles: { fillColor: [75, 85, 99] },
+    columnStyles: { 0: { cellWidth: 50 }, 1: { cellWidth: 45 } },
+    styles: { fontSize: 8 }
+  });
+};
+
+/**
+ * Own values against anonymized peer percentiles
+ */
+const renderBenchmarks = (doc, { benchmarks, indicators, responses }) => {
+  const rows = benchmarkRows(benchmarks, indicators, responses);
+  if (rows.length === 0) return;
+
+  doc.addPage();
+  let y = writeParagraph(doc, 'Peer benchmarks', PAGE_MARGIN + 4, { size: 16, color: BRAND_COLOR, style: 'bold' });
+  y = writeParagraph(
+    doc,
+    `Anonymized percentiles from groups of at least ${benchmarks.minGroupSize} organizations. Peer identities are not included.`,
+    y + 1,
+    { size: 9, color: MUTED_COLOR }
+  );
+
+  autoTable(doc, {
+    startY: y + 4,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+    head: [['Indicator', 'Field', 'Your value', 'Peer median', 'Middle half', 'Position']],
+    body: rows.map(row => {
+      const show = (value) => (value == null ? '—' : formatBenchmarkValue(row, value));
+      return [
+        row.indicatorTitle,
+        row.fieldLabel,
+        show(row.value),
+        show(row.median),
+        `${show(row.p25)} – ${show(row.p75)}`,
+        row.position || '—'
+      ];
+    }),
+    theme: 'striped',
+    headStyles: { fillColor: [75, 85, 99] },
+    columnStyles: { 0: { cellWidth: 40 }, 1: { cellWidth: 40 } },
+    styles: { fontSize: 8 }
+  });
+};
+
+/**
+ * Appendix listing each indicator's source note and attached files
+ * The files themselves travel in the ZIP report package
+ */
+const renderEvidenceAppendix = (doc, { indicators, evidence }) => {
+  const rows = indicators
+    .filter(indicator => hasEvidence(evidence[indicator.id]))
+    .map(indicator => {
+      const { sourceNote, attachments = [] } = evidence[indicator.id];
+      return [
+        indicator.title,
+        sourceNote?.trim() || '—',
+        attachments.map(attachment => `${attachment.name} (${formatFileSize(attachment.size)})`).join('\n') || '—'
+      ];
+    });
+  if (rows.length === 0) return;
+
+  doc.addPage();
+  let y = writeParagraph(doc, 'Appendix: Evidence', PAGE_MARGIN + 4, { size: 16, color: BRAND_COLOR, style: 'bold' });
+  y = writeParagraph(
+    doc,
+    'Sources for the reported figures. Attached files are included in the report package.',
+    y + 1,
+    { size: 9, color: MUTED_COLOR }
+  );
+
+  autoTable(doc, {
+    startY: y + 4,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+    head: [['Indicator', 'Source note', 'Attached files']],
+    body: rows,
+    theme: 'striped',
+    headStyles: { fillColor: [75, 85, 99] },
+    columnStyles: { 0: { cellWidth: 50 } },
+    styles: { fontSize: 8 }
+  });
+};
+
+/**
+ * Page numbers and organization name in every footer
+ */
+const renderFooters = (doc, organization) => {
+  const pageCount = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(organization?.name || 'YWC Reporting Portal', PAGE_MARGIN, pageHeight - 10);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - 10, { align: 'right' });
+  }
+};
+
+/**
+ * Build the PDF report document
+ * Returns a jsPDF instance; call `.save(filename)` to download it
+ */
+export const buildPdfReport = ({
+  organization,
+  period,
+  indicators,
+  responses,
+  comparison = null,
+  benchmarks = null,
+  evidence = null,
+  submission = null,
+  generatedAt = new Date()
+}) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'letter' });
+
+  renderCoverPage(doc, { organization, period, indicators, responses, submission, generatedAt });
+  renderIndicatorSections(doc, { indicators, responses });
+  if (comparison) renderComparison(doc, comparison);
+  if (benchmarks) renderBenchmarks(doc, { benchmarks, indicators, responses });
+  if (evidence) renderEvidenceAppendix(doc, { indicators, evidence });
+  renderFooters(doc, organization);
+
+  return doc;
+};
@@ -0,0 +1,199 @@
+// Period-over-Period Comparison
+// Matches a prior period's report against the current one and computes changes per field
+
+import {
+  FieldTypes,
+  Calculations,
+  formatFieldValue,
+  formatCalculatedValue,
+  getOtherText,
+  getNonResponseReason,
+  isEmptyValue,
+  isFieldVisible,
+  NonResponseLabels
+} from './dataEngine';
+import { matchIndicators } from './indicatorIds';
+
+export const ComparisonStatus = {
+  MATCHED: 'matched', // indicator exists in both periods
+  ADDED: 'added',     // indicator is new this period
+  REMOVED: 'removed'  // indicator was reported last period but is no longer in the workplan
+};
+
+const NUMERIC_TYPES = [
+  FieldTypes.NUMBER,
+  FieldTypes.CURRENCY,
+  FieldTypes.PERCENTAGE,
+  FieldTypes.SCALE,
+  FieldTypes.CALCULATED,
+  FieldTypes.RATIO
+];
+
+const toNumber = (value) => {
+  if (isEmptyValue(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Change between two values of the same field
+ * Percentages change in percentage points, so their growth rate is not reported
+ * Returns null when either value is missing or the field is not numeric
+ */
+export const compareFieldValues = (field, current, previous) => {
+  if (!NUMERIC_TYPES.includes(field.type)) return null;
+
+  const currentNumber = toNumber(current);
+  const previousNumber = toNumber(previous);
+  if (currentNumber == null || previousNumber == null) return null;
+
+  const isPercentage = field.type === FieldTypes.PERCENTAGE || field.format === 'percentage';
+  const delta = Math.round((currentNumber - previousNumber) * 100) / 100;
+
+  return {
+    delta,
+    deltaUnit: isPercentage ? 'points' : field.format || field.type,
+    growthRate: isPercentage || previousNumber === 0
+      ? null
+      : Calculations.growthRate(currentNumber, previousNumber)
+  };
+};
+
+/**
+ * Display text for a change, e.g. "+3 (+25%)", "-$5,000 (-10%)" or "+4 pts"
+ */
+export const formatChange = (change) => {
+  if (!change) return null;
+
+  const sign = change.delta > 0 ? '+' : change.delta < 0 ? '-' : '±';
+  const magnitude = Math.abs(change.delta);
+  let amount;
+  if (change.deltaUnit === 'points') {
+    amount = `${magnitude.toLocaleString('en-CA')} pts`;
+  } else if (change.deltaUnit === 'currency') {
+    amount = formatCalculatedValue(magnitude, 'currency');
+  } else {
+    amount = magnitude.toLocaleString('en-CA');
+  }
+
+  if (change.growthRate == null) return `${sign}${amount}`;
+  return `${sign}${amount} (${change.growthRate > 0 ? '+' : ''}${change.growthRate}%)`;
+};
+
+const describeField = (field, responses) => {
+  const visible = isFieldVisible(field, responses);
+  const value = visible ? responses[field.id] ?? null : null;
+  // A non-response has no value to compare, only a label to show
+  const reason = visible ? getNonResponseReason(field, responses) : null;
+  return {
+    value,
+    displayValue: reason ? NonResponseLabels[reason] : formatFieldValue(field, value, getOtherText(field, responses))
+  };
+};
+
+/**
+ * Compare the current report with a prior period's report
+ * `previous` is a report returned by `parseReport`; indicators are paired by id, then
+ * title, then unchanged method (see matchIndicators)
+ *
+ * Returns {
+ *   previousPeriod, previousSubmissionDate,
+ *   indicators: [{ indicatorId, title, status, previousIndicatorId, fields: [...] }],
+ *   removed: [{ indicatorId, title, status: 'removed', fields: [...] }]
+ * }
+ * Fields are matched within an indicator by their stable key, and each carries
+ * { fieldId, key, label, type, previous, current, previousDisplay, currentDisplay, change }
+ */
+export const buildComparison = ({ indicators, responses, previous }) => {
+  if (!previous) return null;
+
+  const { matches, removed } = matchIndicators(indicators, previous.indicators);
+
+  const comparedIndicators = indicators.map(indicator => {
+    const previousIndicator = matches.get(indicator.id);
+    const previousFields = new Map((previousIndicator?.fields || []).map(field => [field.key, field]));
+
+    return {
+      indicatorId: indicator.id,
+      title: indicator.title,
+      status: previousIndicator ? ComparisonStatus.MATCHED : ComparisonStatus.ADDED,
+      previousIndicatorId: previousIndicator?.id || null,
+      fields: indicator.fields.map(field => {
+        const current = describeField(field, responses);
+        const previousField = previousFields.get(field.key);
+        const prior = previousField && previousField.type === field.type
+          ? describeField(previousField, previous.responses)
+          : { value: null, displayValue: null };
+
+        return {
+          fieldId: field.id,
+          key: field.key,
+          label: field.label,
+          type: field.type,
+          previous: prior.value,
+          current: current.value,
+          previousDisplay: prior.displayValue,
+          currentDisplay: current.displayValue,
+          change: compareFieldValues(field, current.value, prior.value)
+        };
+      })
+    };
+  });
+
+  return {
+    previousPeriod: previous.period,
+    previousSubmissionDate: previous.submissionDate,
+    indicators: comparedIndicators,
+    removed: removed.map(indicator => ({
+      indicatorId: indicator.id,
+      title: indicator.title,
+      status: ComparisonStatus.REMOVED,
+      fields: indicator.fields.map(field => {
+        const prior = describeField(field, previous.responses);
+        return {
+          fieldId: field.id,
+          key: field.key,
+          label: field.label,
+          type: field.type,
+          previous: prior.value,
+          current: null,
+          previousDisplay: prior.displayValue,
+          currentDisplay: null,
+          change: null
+        };
+      })
+    }))
+  };
+};
+
+/**
+ * Look up the comparison entry for one field of the current report
+ */
+export const getFieldComparison = (comparison, indicatorId, fieldId) => {
+  const indicator = comparison?.indicators.find(entry => entry.indicatorId === indicatorId);
+  return indicator?.fields.find(entry => entry.fieldId === fieldId) || null;
+};
+
+/**
+ * Flat comparison table for exports: one row per answered field in either period
+ */
+export const comparisonRows = (comparison) => {
+  if (!comparison) return [];
+
+  return [...comparison.indicators, ...comparison.removed].flatMap(indicator => (
+    indicator.fields
+      .filter(field => field.previousDisplay != null || field.currentDisplay != null)
+      .map(field => ({
+        indicatorId: indicator.indicatorId,
+        indicatorTitle: indicator.title,
+        status: indicator.status,
+        fieldId: field.fieldId,
+        fieldLabel: field.label,
+        previous: field.previousDisplay,
+        current: field.currentDisplay,
+        change: formatChange(field.change),
+        delta: field.change?.delta ?? null,
+        growthRate: field.change?.growthRate ?? null
+      }))
+  ));
+};
@@ -0,0 +1,67 @@
+// Report Package
+// One ZIP holding the exported report, the evidence files and a manifest describing them
+
+import { strToU8, zipSync } from 'fflate';
+import { attachmentPath } from './evidence';
+
+export const PACKAGE_SCHEMA_ID = 'ywc-reporting-portal/package';
+export const PACKAGE_SCHEMA_VERSION = 1;
+
+export const REPORT_FILE = 'report.json';
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Describe a package's contents
+ *
+ * {
+ *   schema: 'ywc-reporting-portal/package',
+ *   schemaVersion: 1,
+ *   createdAt, organization, reportingPeriod,
+ *   report: 'report.json',
+ *   files: [{ path, indicatorId, indicatorTitle, name, type, size, sourceNote }],
+ *   missing: [{ indicatorId, indicatorTitle, name }]
+ * }
+ * `missing` lists attachments whose contents were no longer stored in the browser.
+ */
+export const buildManifest = ({ report, files, missing = [], createdAt = new Date() }) => {
+  const indicators = new Map(report.indicators.map(indicator => [indicator.id, indicator]));
+  const titleOf = (indicatorId) => indicators.get(indicatorId)?.title || indicatorId;
+
+  return {
+    schema: PACKAGE_SCHEMA_ID,
+    schemaVersion: PACKAGE_SCHEMA_VERSION,
+    createdAt: createdAt.toISOString(),
+    organization: report.organization,
+    reportingPeriod: report.reportingPeriod,
+    report: REPORT_FILE,
+    files: files.map(file => ({
+      path: attachmentPath(file.indicatorId, file),
+      indicatorId: file.indicatorId,
+      indicatorTitle: titleOf(file.indicatorId),
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      sourceNote: indicators.get(file.indicatorId)?.evidence?.sourceNote || null
+    })),
+    missing: missing.map(file => ({ indicatorId: file.indicatorId, indicatorTitle: titleOf(file.indicatorId), name: file.name }))
+  };
+};
+
+/**
+ * Build the ZIP report package
+ * `report` is an exported report (see serializeReport) and `files` the evidence
+ * returned by readEvidenceFiles. Returns the archive as a Uint8Array.
+ */
+export const buildReportPackage = ({ report, files, missing = [], createdAt = new Date() }) => {
+  const manifest = buildManifest({ report, files, missing, createdAt });
+  const entries = {
+    [MANIFEST_FILE]: strToU8(JSON.stringify(manifest, null, 2)),
+    [REPORT_FILE]: strToU8(JSON.stringify(report, null, 2))
+  };
+  files.forEach(file => {
+    // Most evidence (PDFs, images, office files) is already compressed
+    entries[attachmentPath(file.indicatorId, file)] = [file.data, { level: 0 }];
+  });
+
+  return zipSync(entries, { mtime: createdAt });
+};
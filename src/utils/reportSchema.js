@@ -0,0 +1,361 @@
+// Report Schema
+// Versioned JSON format for exported reports, and the reader that re-opens them
+
+import {
+  buildIndicator,
+  applyCalculations,
+  calculateCompletionScore,
+  calculateDataQuality,
+  checkIndicatorConsistency,
+  detectOrganization,
+  formatFieldValue,
+  getOtherText,
+  getNonResponseReason,
+  nonResponseId,
+  NonResponseLabels,
+  isCalculatedField,
+  isEmptyValue,
+  isFieldVisible,
+  otherResponseId,
+  TierSources
+} from './dataEngine';
+import { buildDeclaredIndicator } from './indicatorDefinition';
+import { normalizePeriod, calculationContext } from './reportingPeriod';
+import { ComparisonStatus, comparisonRows } from './periodComparison';
+import { benchmarkRows } from './benchmarks';
+import { attachmentPath, hasEvidence } from './evidence';
+
+export const REPORT_SCHEMA_ID = 'ywc-reporting-portal/report';
+export const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Field properties written to exports
+ * Formulas are written as expression text. Validation rules are functions and are
+ * rebuilt from the indicator text (or its declared definition) when a report is re-opened
+ */
+const SERIALIZED_FIELD_KEYS = [
+  'id',
+  'key',
+  'type',
+  'label',
+  'description',
+  'options',
+  'required',
+  'placeholder',
+  'maxLength',
+  'warning',
+  'inputs',
+  'requiresPeriod',
+  'formula',
+  'format',
+  'unit',
+  'min',
+  'max',
+  'dependsOn',
+  'dependsOnValue'
+];
+
+const serializeField = (field) => {
+  const serialized = {};
+  SERIALIZED_FIELD_KEYS.forEach(key => {
+    if (field[key] !== undefined) serialized[key] = field[key];
+  });
+  return serialized;
+};
+
+/**
+ * Build the exported report (schemaVersion 1)
+ *
+ * {
+ *   schema: 'ywc-reporting-portal/report',
+ *   schemaVersion: 1,
+ *   organization: { name, code },
+ *   reportingPeriod: { type, start, end, label, fiscalYearStartMonth?, quarter? } | null,
+ *   submissionDate: ISO 8601 string,
+ *   completionScore: { percentage, completed, total },
+ *   dataQuality: { completeness, standardization, overallScore, semiStructured, flagCount },
+ *   indicators: [{
+ *     id, title, description, method, tier, tierSource ('explicit' | 'inferred'),
+ *     category, owner, frequency,
+ *     definition?: { fields: [{ key, label, type, options?, unit?, min?, max?, formula?, dependsOn?, dependsOnValue?, required }] },
+ *     consistency: [{ key, severity, message, explanation, fieldIds }],
+ *     dataQuality: { completeness, standardization, overallScore, flags: [{ fieldId, flag, otherText? }] },
+ *     responses: [{ ...field, value, otherText?, nonResponse?, displayValue }],
+ *     evidence?: { sourceNote, attachments: [{ name, type, size, addedAt, path }] }
+ *   }],
+ *   comparison?: {
+ *     previousPeriod, previousSubmissionDate,
+ *     addedIndicators: [{ id, title }],
+ *     removedIndicators: [{ id, title }],
+ *     rows: [{ indicatorId, indicatorTitle, status, fieldId, fieldLabel, previous, current, change, delta, growthRate }]
+ *   },
+ *   benchmarks?: {
+ *     generatedAt, minGroupSize,
+ *     rows: [{ indicatorId, indicatorTitle, fieldId, fieldLabel, type, format, value, groupSize, p10, p25, median, p75, p90, position }]
+ *   },
+ *   submission?: {
+ *     submittedAt, preparer: { name, role }, boardApprover, approvalDate, reviewedIndicators: [indicator ids],
+ *     contentHash: { algorithm: 'SHA-256', value }
+ *   }
+ * }
+ *
+ * Hidden dependent fields are exported with a null value. `otherText` holds the
+ * free text for "Other (specify)" and is only present when "Other" is selected.
+ * `nonResponse` ('not_applicable' | 'prefer_not_to_disclose' | 'unknown') is only
+ * present on unanswered fields marked with a reason; their value stays null.
+ * `comparison` is only present when a prior period's report was loaded, and
+ * `benchmarks` only when a peer benchmark bundle was loaded. `definition` is only
+ * present on indicators whose fields were declared rather than inferred from text.
+ * Data quality flags name answers given as short text fallbacks or "Other (specify)"
+ * (see calculateDataQuality). `evidence` is only present on indicators with a source
+ * note or attached files; `path` locates each file inside the ZIP report package.
+ * `submission` is only present on reports submitted after review and sign-off;
+ * `contentHash` is added by signReport and covers the rest of the report.
+ */
+export const serializeReport = ({
+  organization,
+  period,
+  indicators,
+  responses,
+  comparison = null,
+  benchmarks = null,
+  evidence = null,
+  submission = null,
+  submissionDate = new Date()
+}) => {
+  const quality = calculateDataQuality(indicators, responses);
+
+  return {
+    schema: REPORT_SCHEMA_ID,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    organization: {
+      name: organization?.name || 'Unknown Organization',
+      code: organization?.code || null
+    },
+    reportingPeriod: period || null,
+    submissionDate: submissionDate.toISOString(),
+    completionScore: calculateCompletionScore(indicators, responses),
+    dataQuality: {
+      completeness: quality.completeness,
+      standardization: quality.standardization,
+      overallScore: quality.overallScore,
+      semiStructured: quality.semiStructured,
+      flagCount: quality.flagCount
+    },
+    indicators: indicators.map((indicator, index) => ({
+      id: indicator.id,
+      title: indicator.title,
+      description: indicator.description,
+      method: indicator.method,
+      tier: indicator.tier,
+      tierSource: indicator.tierSource,
+      category: indicator.category,
+      owner: indicator.owner,
+      frequency: indicator.frequency,
+      ...(indicator.definition && { definition: indicator.definition }),
+      consistency: checkIndicatorConsistency(indicator, responses),
+      dataQuality: serializeIndicatorQuality(quality.indicators[index]),
+      responses: indicator.fields.map(field => {
+        const value = isFieldVisible(field, responses) ? responses[field.id] ?? null : null;
+        const otherText = value == null ? null : getOtherText(field, responses);
+        const nonResponse = isFieldVisible(field, responses) ? getNonResponseReason(field, responses) : null;
+        return {
+          ...serializeField(field),
+          value,
+          ...(otherText && { otherText }),
+          ...(nonResponse && { nonResponse }),
+          displayValue: nonResponse ? NonResponseLabels[nonResponse] : formatFieldValue(field, value, otherText)
+        };
+      }),
+      ...(hasEvidence(evidence?.[indicator.id]) && {
+        evidence: serializeEvidence(indicator.id, evidence[indicator.id])
+      })
+    })),
+    ...(comparison && { comparison: serializeComparison(comparison) }),
+    ...(benchmarks && {
+      benchmarks: {
+        generatedAt: benchmarks.generatedAt || null,
+        minGroupSize: benchmarks.minGroupSize,
+        rows: benchmarkRows(benchmarks, indicators, responses)
+      }
+    }),
+    ...(submission && { submission })
+  };
+};
+
+const serializeIndicatorQuality = (quality) => ({
+  completeness: quality.completeness,
+  standardization: quality.standardization,
+  overallScore: quality.overallScore,
+  flags: quality.flags.map(({ fieldId, flag, otherText }) => ({ fieldId, flag, ...(otherText && { otherText }) }))
+});
+
+const serializeEvidence = (indicatorId, entry) => ({
+  sourceNote: entry.sourceNote?.trim() || '',
+  attachments: (entry.attachments || []).map(attachment => ({
+    name: attachment.name,
+    type: attachment.type,
+    size: attachment.size,
+    addedAt: attachment.addedAt,
+    path: attachmentPath(indicatorId, attachment)
+  }))
+});
+
+const serializeComparison = (comparison) => ({
+  previousPeriod: comparison.previousPeriod || null,
+  previousSubmissionDate: comparison.previousSubmissionDate || null,
+  addedIndicators: comparison.indicators
+    .filter(indicator => indicator.status === ComparisonStatus.ADDED)
+    .map(indicator => ({ id: indicator.indicatorId, title: indicator.title })),
+  removedIndicators: comparison.removed.map(indicator => ({ id: indicator.indicatorId, title: indicator.title })),
+  rows: comparisonRows(comparison)
+});
+
+/**
+ * Recover an indicator's measurement method
+ * Unversioned exports did not store it, but simple fields carried it as their description
+ */
+const recoverMethod = (exportedIndicator) => {
+  if (exportedIndicator.method != null) return exportedIndicator.method;
+  const mainField = (exportedIndicator.responses || []).find(field => field.key === 'main' || field.id?.endsWith('_main'));
+  return mainField?.description || '';
+};
+
+const recoverOrganization = (exported) => {
+  if (exported.organization && typeof exported.organization === 'object') {
+    return { name: exported.organization.name, code: exported.organization.code || null };
+  }
+
+  // Unversioned exports only stored the organization name
+  const name = exported.organization || 'Unknown Organization';
+  const detected = detectOrganization([{ organization: name }]);
+  return { name, code: detected?.code !== 'ORG' ? detected.code : null };
+};
+
+/**
+ * Re-open an exported report
+ * Rebuilds indicators from their declared definition or their text, restores responses whose field ids and
+ * types still match, and reports fields that were removed, changed or added.
+ * Source notes are restored into `evidence`; attached files are not part of the JSON export.
+ */
+export const parseReport = (input) => {
+  let exported = input;
+  if (typeof input === 'string') {
+    try {
+      exported = JSON.parse(input);
+    } catch {
+      throw new Error('This file is not valid JSON');
+    }
+  }
+
+  if (!exported || typeof exported !== 'object' || !Array.isArray(exported.indicators)) {
+    throw new Error('This file is not a YWC report export (no indicators found)');
+  }
+
+  const schemaVersion = exported.schemaVersion ?? 0;
+  if (schemaVersion > REPORT_SCHEMA_VERSION) {
+    throw new Error(
+      `This report uses schema version ${schemaVersion}, but this portal only reads up to version ${REPORT_SCHEMA_VERSION}. Please update the portal.`
+    );
+  }
+
+  const restored = {};
+  const evidence = {};
+  const removedFields = [];
+  const changedFields = [];
+  const newFields = [];
+
+  const indicators = exported.indicators.map((exportedIndicator, index) => {
+    const source = {
+      id: exportedIndicator.id || `indicator_${index}`,
+      title: String(exportedIndicator.title || `Indicator ${index + 1}`),
+      method: recoverMethod(exportedIndicator),
+      notes: exportedIndicator.description || '',
+      tier: exportedIndicator.tier,
+      // Older exports did not record where the tier came from; it was always inferred
+      tierSource: exportedIndicator.tierSource || TierSources.INFERRED,
+      category: exportedIndicator.category,
+      owner: exportedIndicator.owner,
+      frequency: exportedIndicator.frequency
+    };
+    const indicator = Array.isArray(exportedIndicator.definition?.fields)
+      ? buildDeclaredIndicator({ ...source, fields: exportedIndicator.definition.fields })
+      : buildIndicator(source);
+
+    const sourceNote = exportedIndicator.evidence?.sourceNote;
+    if (typeof sourceNote === 'string' && sourceNote.trim()) {
+      evidence[indicator.id] = { sourceNote, attachments: [] };
+    }
+
+    const exportedFields = exportedIndicator.responses || [];
+    const exportedById = new Map(exportedFields.map(field => [field.id, field]));
+
+    exportedFields.forEach(exportedField => {
+      if (isCalculatedField(exportedField)) return;
+
+      const field = indicator.fields.find(f => f.id === exportedField.id);
+      const hasValue = !isEmptyValue(exportedField.value);
+
+      if (!field) {
+        if (hasValue) {
+          removedFields.push({
+            indicatorTitle: indicator.title,
+            fieldId: exportedField.id,
+            label: exportedField.label,
+            value: exportedField.displayValue ?? exportedField.value
+          });
+        }
+        return;
+      }
+
+      // A reason for not answering still applies if the field's type changed
+      if (!hasValue && NonResponseLabels[exportedField.nonResponse]) {
+        restored[nonResponseId(field)] = exportedField.nonResponse;
+      }
+
+      if (field.type !== exportedField.type) {
+        if (hasValue) {
+          changedFields.push({
+            indicatorTitle: indicator.title,
+            fieldId: field.id,
+            label: field.label,
+            previousType: exportedField.type,
+            type: field.type,
+            value: exportedField.displayValue ?? exportedField.value
+          });
+        }
+        return;
+      }
+
+      if (hasValue) restored[field.id] = exportedField.value;
+      if (hasValue && exportedField.otherText) restored[otherResponseId(field)] = exportedField.otherText;
+    });
+
+    indicator.fields.forEach(field => {
+      if (!isCalculatedField(field) && !exportedById.has(field.id)) {
+        newFields.push({ indicatorTitle: indicator.title, fieldId: field.id, label: field.label });
+      }
+    });
+
+    return indicator;
+  });
+
+  const period = normalizePeriod(exported.reportingPeriod);
+
+  return {
+    schemaVersion,
+    organization: recoverOrganization(exported),
+    period,
+    submissionDate: exported.submissionDate || null,
+    indicators,
+    responses: applyCalculations(indicators, restored, calculationContext(period)),
+    evidence,
+    submission: exported.submission || null,
+    summary: {
+      restoredCount: Object.keys(restored).length,
+      removedFields,
+      changedFields,
+      newFields
+    }
+  };
+};
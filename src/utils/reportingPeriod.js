@@ -0,0 +1,133 @@
+// Reporting Period Model
+// Fiscal years, quarters and custom ranges that a report covers
+
+import { addMonths, subDays, differenceInCalendarDays, format, parseISO, isValid } from 'date-fns';
+
+export const PeriodTypes = {
+  FISCAL_YEAR: 'fiscal_year',
+  QUARTER: 'quarter',
+  CUSTOM: 'custom'
+};
+
+// Most member organizations run an April–March fiscal year
+export const DEFAULT_FISCAL_YEAR_START_MONTH = 4;
+
+const ISO_FORMAT = 'yyyy-MM-dd';
+
+const toIso = (date) => format(date, ISO_FORMAT);
+
+/**
+ * Short fiscal year label, e.g. "FY2024-25" (or "FY2024" for calendar years)
+ */
+const fiscalYearLabel = (start, end) => (
+  start.getFullYear() === end.getFullYear()
+    ? `FY${start.getFullYear()}`
+    : `FY${start.getFullYear()}-${String(end.getFullYear()).slice(-2)}`
+);
+
+/**
+ * Fiscal year that starts in `startYear` on the first day of `startMonth` (1-12)
+ */
+export const createFiscalYearPeriod = (startYear, startMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+  const start = new Date(startYear, startMonth - 1, 1);
+  const end = subDays(addMonths(start, 12), 1);
+
+  return {
+    type: PeriodTypes.FISCAL_YEAR,
+    start: toIso(start),
+    end: toIso(end),
+    fiscalYearStartMonth: startMonth,
+    label: fiscalYearLabel(start, end)
+  };
+};
+
+/**
+ * Quarter (1-4) of the fiscal year that starts in `startYear`
+ */
+export const createQuarterPeriod = (startYear, quarter, startMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+  const fiscalStart = new Date(startYear, startMonth - 1, 1);
+  const start = addMonths(fiscalStart, (quarter - 1) * 3);
+  const end = subDays(addMonths(start, 3), 1);
+
+  return {
+    type: PeriodTypes.QUARTER,
+    start: toIso(start),
+    end: toIso(end),
+    fiscalYearStartMonth: startMonth,
+    quarter,
+    label: `${fiscalYearLabel(fiscalStart, subDays(addMonths(fiscalStart, 12), 1))} Q${quarter}`
+  };
+};
+
+/**
+ * Any date range, given as ISO dates (YYYY-MM-DD)
+ */
+export const createCustomPeriod = (start, end) => ({
+  type: PeriodTypes.CUSTOM,
+  start,
+  end,
+  label: `${format(parseISO(start), 'MMM d, yyyy')} – ${format(parseISO(end), 'MMM d, yyyy')}`
+});
+
+/**
+ * Check a period object; returns an error message or null
+ */
+export const validatePeriod = (period) => {
+  if (!period) return 'Choose a reporting period';
+  const start = parseISO(period.start || '');
+  const end = parseISO(period.end || '');
+  if (!isValid(start) || !isValid(end)) return 'Enter both a start and an end date';
+  if (start > end) return 'Period end must be after period start';
+  return null;
+};
+
+/**
+ * Number of days covered, inclusive of both ends
+ */
+export const periodLengthInDays = (period) => (
+  differenceInCalendarDays(parseISO(period.end), parseISO(period.start)) + 1
+);
+
+/**
+ * Factor that scales a value for this period up (or down) to a full year
+ * Full fiscal years return 1 so leap years do not shift annual figures
+ */
+export const annualizationFactor = (period) => {
+  if (!period || validatePeriod(period)) return null;
+  if (period.type === PeriodTypes.FISCAL_YEAR) return 1;
+  return 365 / periodLengthInDays(period);
+};
+
+/**
+ * Filename-safe period identifier, e.g. "FY2024-25-Q1" or "2024-04-01_2024-09-30"
+ */
+export const periodSlug = (period) => {
+  if (!period) return null;
+  if (period.type === PeriodTypes.CUSTOM) return `${period.start}_${period.end}`;
+  return period.label.replace(/\s+/g, '-');
+};
+
+/**
+ * Rebuild a period from stored data, recomputing its label
+ * Returns null when the stored period is missing or invalid
+ */
+export const normalizePeriod = (stored) => {
+  if (!stored || validatePeriod(stored)) return null;
+
+  if (stored.type === PeriodTypes.FISCAL_YEAR && stored.fiscalYearStartMonth) {
+    return createFiscalYearPeriod(parseISO(stored.start).getFullYear(), stored.fiscalYearStartMonth);
+  }
+  if (stored.type === PeriodTypes.QUARTER && stored.fiscalYearStartMonth && stored.quarter) {
+    const fiscalStart = addMonths(parseISO(stored.start), -(stored.quarter - 1) * 3);
+    return createQuarterPeriod(fiscalStart.getFullYear(), stored.quarter, stored.fiscalYearStartMonth);
+  }
+  return createCustomPeriod(stored.start, stored.end);
+};
+
+/**
+ * Report-level values passed to calculated field formulas
+ */
+export const calculationContext = (period) => ({
+  period: period || null,
+  annualizationFactor: annualizationFactor(period)
+});
@@ -0,0 +1,150 @@
+// Report Submission
+// Review checklist, sign-off attestation and the content hash that seals a submitted report
+
+import { validateReport } from './dataEngine';
+import { serializeReport } from './reportSchema';
+
+export const CONTENT_HASH_ALGORITHM = 'SHA-256';
+
+/**
+ * Sign-off details recorded with a submitted report
+ */
+export const emptyAttestation = () => ({
+  preparerName: '',
+  preparerRole: '',
+  boardApprover: '',
+  approvalDate: ''
+});
+
+export const AttestationLabels = {
+  preparerName: 'Prepared by',
+  preparerRole: 'Role',
+  boardApprover: 'Approved by (board)',
+  approvalDate: 'Approval date'
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check the attestation; returns { [field]: message } for missing or invalid entries
+ */
+export const validateAttestation = (attestation) => {
+  const errors = {};
+  Object.keys(AttestationLabels).forEach(key => {
+    if (!String(attestation?.[key] || '').trim()) errors[key] = `${AttestationLabels[key]} is required`;
+  });
+  if (!errors.approvalDate && !ISO_DATE_PATTERN.test(attestation.approvalDate)) {
+    errors.approvalDate = 'Enter the approval date as YYYY-MM-DD';
+  }
+  return errors;
+};
+
+/**
+ * Everything still standing between the review and submission, as messages
+ * `reviewed` is { [indicatorId]: true } for indicators ticked as reviewed
+ */
+export const submissionBlockers = ({ indicators, validation, reviewed, attestation }) => {
+  const blockers = [];
+  if (!validation.isValid) {
+    blockers.push(`Resolve ${validation.errorCount} ${validation.errorCount === 1 ? 'error' : 'errors'}`);
+  }
+
+  const unreviewed = indicators.filter(indicator => !reviewed?.[indicator.id]).length;
+  if (unreviewed > 0) {
+    blockers.push(`Mark ${unreviewed} more ${unreviewed === 1 ? 'indicator' : 'indicators'} as reviewed`);
+  }
+
+  if (Object.keys(validateAttestation(attestation)).length > 0) {
+    blockers.push('Complete the sign-off');
+  }
+  return blockers;
+};
+
+/**
+ * The `submission` block written to a submitted report (see serializeReport)
+ */
+export const buildSubmission = ({ indicators, reviewed, attestation, submittedAt = new Date() }) => ({
+  submittedAt: submittedAt.toISOString(),
+  preparer: { name: attestation.preparerName.trim(), role: attestation.preparerRole.trim() },
+  boardApprover: attestation.boardApprover.trim(),
+  approvalDate: attestation.approvalDate,
+  reviewedIndicators: indicators.filter(indicator => reviewed?.[indicator.id]).map(indicator => indicator.id)
+});
+
+/**
+ * JSON with object keys sorted at every level, so equal content always hashes the same
+ */
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const withoutContentHash = (report) => {
+  const { contentHash: _HASH, ...submission } = report.submission || {};
+  return { ...report, submission };
+};
+
+/**
+ * SHA-256 of an exported report's content, as lowercase hex
+ * Covers everything except the hash itself
+ */
+export const computeContentHash = async (report) => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('This browser cannot compute content hashes. Open the portal over https and try again.');
+  }
+  const bytes = new TextEncoder().encode(canonicalJson(withoutContentHash(report)));
+  const digest = await globalThis.crypto.subtle.digest(CONTENT_HASH_ALGORITHM, bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Seal an exported report that carries a `submission` block
+ */
+export const signReport = async (report) => ({
+  ...report,
+  submission: {
+    ...report.submission,
+    contentHash: { algorithm: CONTENT_HASH_ALGORITHM, value: await computeContentHash(report) }
+  }
+});
+
+/**
+ * Build and sign the export for a reviewed, signed-off report
+ * Takes the same report state as serializeReport plus `reviewed` and `attestation`;
+ * throws when anything still blocks submission (see submissionBlockers)
+ */
+export const createSubmittedReport = async ({ reviewed, attestation, submittedAt = new Date(), ...reportState }) => {
+  const { indicators, responses } = reportState;
+  const blockers = submissionBlockers({ indicators, validation: validateReport(indicators, responses), reviewed, attestation });
+  if (blockers.length > 0) {
+    throw new Error(`Before submitting: ${blockers.join('; ')}`);
+  }
+
+  return signReport(serializeReport({
+    ...reportState,
+    submission: buildSubmission({ indicators, reviewed, attestation, submittedAt }),
+    submissionDate: submittedAt
+  }));
+};
+
+export const IntegrityStatus = {
+  UNSIGNED: 'unsigned', // not a submitted report
+  VALID: 'valid',       // unchanged since submission
+  MODIFIED: 'modified'  // edited after submission
+};
+
+/**
+ * Check an exported report against its content hash
+ */
+export const verifyReport = async (report) => {
+  const recorded = report?.submission?.contentHash;
+  if (!recorded?.value || recorded.algorithm !== CONTENT_HASH_ALGORITHM) return IntegrityStatus.UNSIGNED;
+  return (await computeContentHash(report)) === recorded.value ? IntegrityStatus.VALID : IntegrityStatus.MODIFIED;
+};
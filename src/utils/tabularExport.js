@@ -0,0 +1,187 @@
+// Tabular Response Export
+// Flattens a report into one row per field for spreadsheets and analysis tools
+
+import Papa from 'papaparse';
+import {
+  FieldTypes,
+  calculateDataQuality,
+  formatFieldValue,
+  getOtherText,
+  getNonResponseReason,
+  isEmptyValue,
+  isFieldVisible,
+  NonResponseLabels,
+  NonResponseReasons,
+  nonResponseId,
+  otherResponseId
+} from './dataEngine';
+
+/**
+ * How checkbox answers are laid out in the flat export
+ * JOINED: one cell with all selected values/labels separated by ";"
+ * COLUMNS: one TRUE/FALSE column per option (option_<value>)
+ */
+export const CheckboxExportModes = {
+  JOINED: 'joined',
+  COLUMNS: 'columns'
+};
+
+export const BASE_COLUMNS = [
+  'organization_code',
+  'organization_name',
+  'reporting_period',
+  'indicator_id',
+  'indicator_title',
+  'tier',
+  'tier_source',
+  'category',
+  'field_id',
+  'field_key',
+  'field_type',
+  'value',
+  'display_value',
+  'other_text',
+  'non_response',
+  'unit',
+  'indicator_quality_score',
+  'quality_flag'
+];
+
+const LIST_SEPARATOR = ';';
+const NUMERIC_TYPES = [
+  FieldTypes.NUMBER,
+  FieldTypes.CURRENCY,
+  FieldTypes.PERCENTAGE,
+  FieldTypes.SCALE,
+  FieldTypes.CALCULATED,
+  FieldTypes.RATIO
+];
+
+/**
+ * Unit shown next to a field's value
+ */
+const fieldUnit = (field) => {
+  if (field.unit) return field.unit;
+  if (field.type === FieldTypes.CURRENCY) return '$';
+  if (field.type === FieldTypes.PERCENTAGE) return '%';
+  return '';
+};
+
+const optionColumn = (value) => `option_${value}`;
+
+/**
+ * Flatten indicators and responses into one row per field
+ * Hidden dependent fields are kept with blank values so every report has the same rows
+ * `quality_flag` marks answers that lower data quality (see QualityFlags), and
+ * `non_response` holds the reason a field was left without a value (see NonResponseReasons)
+ */
+export const buildResponseRows = (
+  { organization, period, indicators, responses },
+  { checkboxMode = CheckboxExportModes.JOINED } = {}
+) => {
+  const rows = [];
+  const optionColumns = [];
+  const quality = calculateDataQuality(indicators, responses);
+
+  indicators.forEach((indicator, index) => {
+    const indicatorQuality = quality.indicators[index];
+    indicator.fields.forEach(field => {
+      const value = isFieldVisible(field, responses) ? responses[field.id] : null;
+      const otherText = value == null ? null : getOtherText(field, responses);
+      const nonResponse = isFieldVisible(field, responses) ? getNonResponseReason(field, responses) : null;
+      const row = {
+        organization_code: organization?.code || '',
+        organization_name: organization?.name || '',
+        reporting_period: period?.label || '',
+        indicator_id: indicator.id,
+        indicator_title: indicator.title,
+        tier: indicator.tier,
+        tier_source: indicator.tierSource || '',
+        category: indicator.category || '',
+        field_id: field.id,
+        field_key: field.key,
+        field_type: field.type,
+        value: isEmptyValue(value) ? '' : (Array.isArray(value) ? value.join(LIST_SEPARATOR) : value),
+        display_value: nonResponse ? NonResponseLabels[nonResponse] : formatFieldValue(field, value, otherText) ?? '',
+        other_text: otherText ?? '',
+        non_response: nonResponse ?? '',
+        unit: fieldUnit(field),
+        indicator_quality_score: indicatorQuality.totalFields > 0 ? indicatorQuality.overallScore : '',
+        quality_flag: indicatorQuality.flags.find(flag => flag.fieldId === field.id)?.flag || ''
+      };
+
+      if (field.type === FieldTypes.CHECKBOX && checkboxMode === CheckboxExportModes.COLUMNS) {
+        const selected = Array.isArray(value) ? value : [];
+        (field.options || []).forEach(option => {
+          const column = optionColumn(option.value);
+          if (!optionColumns.includes(column)) optionColumns.push(column);
+          row[column] = selected.includes(option.value);
+        });
+      }
+
+      rows.push(row);
+    });
+  });
+
+  return { rows, columns: [...BASE_COLUMNS, ...optionColumns] };
+};
+
+/**
+ * Guard against spreadsheet formula injection in text cells
+ */
+const escapeSpreadsheetCell = (value) => (
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+);
+
+/**
+ * Serialize the flat export as CSV
+ * `excel: true` adds a UTF-8 byte order mark, CRLF line endings and formula escaping
+ * so the file opens cleanly in Excel and other XLSX-based tools
+ */
+export const toResponseCsv = (report, { checkboxMode, excel = false } = {}) => {
+  const { rows, columns } = buildResponseRows(report, { checkboxMode });
+  const data = excel
+    ? rows.map(row => Object.fromEntries(columns.map(column => [column, escapeSpreadsheetCell(row[column])])))
+    : rows;
+
+  const csv = Papa.unparse({ fields: columns, data }, { newline: excel ? '\r\n' : '\n' });
+  return excel ? `\uFEFF${csv}` : csv;
+};
+
+/**
+ * Convert a cell from a flat export back to its response value
+ */
+const parseCellValue = (fieldType, cell) => {
+  if (cell == null || cell === '') return null;
+  if (fieldType === FieldTypes.CHECKBOX) return String(cell).split(LIST_SEPARATOR);
+  if (NUMERIC_TYPES.includes(fieldType)) {
+    const number = Number(cell);
+    return Number.isNaN(number) ? null : number;
+  }
+  // Undo the formula escaping applied to Excel exports
+  return String(cell).replace(/^'(?=[=+\-@\t\r])/, '');
+};
+
+/**
+ * Parse a flat export back into rows and a field id -> value response map
+ */
+export const parseResponseCsv = (csvText) => {
+  const results = Papa.parse(csvText.replace(/^\uFEFF/, ''), {
+    header: true,
+    skipEmptyLines: true
+  });
+
+  const responses = {};
+  results.data.forEach(row => {
+    if (!row.field_id) return;
+    responses[row.field_id] = parseCellValue(row.field_type, row.value);
+    if (row.other_text) {
+      responses[otherResponseId({ id: row.field_id })] = parseCellValue(FieldTypes.TEXT_SHORT, row.other_text);
+    }
+    if (responses[row.field_id] == null && Object.values(NonResponseReasons).includes(row.non_response)) {
+      responses[nonResponseId({ id: row.field_id })] = row.non_response;
+    }
+  });
+
+  return { rows: results.data, responses, errors: results.errors };
+};
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { buildIndicator } from '../src/utils/dataEngine';
+import { buildBenchmarkBundle } from '../src/utils/benchmarks';
+import { aggregateReports } from '../src/utils/networkAggregation';
+
+const indicators = [buildIndicator({ id: 'turnover', title: 'Staff Turnover Rate' })];
+
+const reportFrom = (code, periodLabel, staffLeft) => ({
+  fileName: `${code}-${periodLabel}.json`,
+  organization: { name: `Organization ${code}`, code },
+  period: { label: periodLabel },
+  indicators,
+  responses: { turnover_staffLeft: staffLeft }
+});
+
+const staffLeftBenchmark = (reports) => buildBenchmarkBundle(aggregateReports(reports))
+  .benchmarks.find(benchmark => benchmark.fieldKey === 'staffLeft');
+
+describe('buildBenchmarkBundle', () => {
+  it('publishes percentiles once enough organizations answered', () => {
+    const reports = ['A', 'B', 'C', 'D', 'E'].map((code, index) => reportFrom(code, 'FY 2025', index + 1));
+    expect(staffLeftBenchmark(reports)).toMatchObject({ count: 5, p50: 3 });
+  });
+
+  it('suppresses fields answered by fewer organizations than reports', () => {
+    const reports = ['FY 2021', 'FY 2022', 'FY 2023', 'FY 2024', 'FY 2025'].map((label, index) => reportFrom('A', label, index + 1));
+    expect(staffLeftBenchmark(reports)).toBeUndefined();
+  });
+
+  it('counts duplicate reports for the same organization and period once', () => {
+    const reports = [
+      ...['A', 'B', 'C', 'D'].map(code => reportFrom(code, 'FY 2025', 2)),
+      reportFrom('D', 'FY 2025', 2),
+      { ...reportFrom('D', 'FY 2025', 40), fileName: 'D-resubmitted.json' }
+    ];
+    expect(aggregateReports(reports).duplicates).toHaveLength(1);
+    expect(staffLeftBenchmark(reports)).toBeUndefined();
+    expect(staffLeftBenchmark([...reports, reportFrom('E', 'FY 2025', 2)])).toMatchObject({ count: 5, p90: 2 });
+  });
+});
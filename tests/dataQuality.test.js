@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { QualityFlags, buildIndicator, calculateDataQuality, calculateIndicatorQuality } from '../src/utils/dataEngine';
+import { serializeReport } from '../src/utils/reportSchema';
+import { buildResponseRows } from '../src/utils/tabularExport';
+
+const indicators = [
+  buildIndicator({ id: 'turnover', title: 'Staff Turnover Rate' }),
+  buildIndicator({
+    id: 'collaboration',
+    title: 'Collaboration Activities',
+    method: 'Check all that apply: ☐ Co-delivered programming ☐ Shared advocacy ☐ Other'
+  }),
+  buildIndicator({ id: 'story', title: 'Participant Story' })
+];
+
+const responses = {
+  turnover_staffAtStart: 10,
+  turnover_staffAtEnd: 10,
+  turnover_staffHired: 1,
+  turnover_staffLeft: 1,
+  collaboration_main: ['co_programming', 'other'],
+  collaboration_main_other: 'Shared intake line',
+  story_main: 'A participant found housing'
+};
+
+describe('calculateIndicatorQuality', () => {
+  it('scores structured answers fully', () => {
+    expect(calculateIndicatorQuality(indicators[0], responses)).toMatchObject({
+      totalFields: 4,
+      completedFields: 4,
+      completeness: 100,
+      standardization: 100,
+      overallScore: 100,
+      flags: []
+    });
+  });
+
+  it('gives "Other" answers half credit and flags them', () => {
+    const quality = calculateIndicatorQuality(indicators[1], responses);
+    expect(quality.standardization).toBe(50);
+    expect(quality.overallScore).toBe(80);
+    expect(quality.flags).toEqual([{
+      fieldId: 'collaboration_main',
+      label: 'Collaboration Activities',
+      flag: QualityFlags.OTHER,
+      otherText: 'Shared intake line'
+    }]);
+  });
+
+  it('flags short text fallbacks', () => {
+    const quality = calculateIndicatorQuality(indicators[2], responses);
+    expect(quality.standardization).toBe(0);
+    expect(quality.flags.map(flag => flag.flag)).toEqual([QualityFlags.TEXT_FALLBACK]);
+  });
+
+  it('ignores unanswered and calculated fields', () => {
+    expect(calculateIndicatorQuality(indicators[0], {})).toMatchObject({ totalFields: 4, completedFields: 0, overallScore: 0 });
+  });
+});
+
+describe('calculateDataQuality', () => {
+  it('sums fields across indicators', () => {
+    const quality = calculateDataQuality(indicators, responses);
+    expect(quality).toMatchObject({ totalFields: 6, completedFields: 6, standardizedFields: 4.5, flagCount: 2, semiStructured: 1 });
+    expect(quality.standardization).toBe(75);
+    expect(quality.indicators.map(entry => entry.indicatorId)).toEqual(['turnover', 'collaboration', 'story']);
+  });
+});
+
+describe('exports', () => {
+  const report = { organization: { name: 'Test' }, period: null, indicators, responses };
+
+  it('include the breakdown in JSON reports', () => {
+    const exported = serializeReport(report);
+    expect(exported.dataQuality).toEqual({ completeness: 100, standardization: 75, overallScore: 90, semiStructured: 1, flagCount: 2 });
+    expect(exported.indicators[1].dataQuality.flags).toEqual([
+      { fieldId: 'collaboration_main', flag: QualityFlags.OTHER, otherText: 'Shared intake line' }
+    ]);
+  });
+
+  it('include scores and flags in flat exports', () => {
+    const { rows } = buildResponseRows(report);
+    const story = rows.find(row => row.field_id === 'story_main');
+    expect(story.indicator_quality_score).toBe(60);
+    expect(story.quality_flag).toBe(QualityFlags.TEXT_FALLBACK);
+    expect(rows.find(row => row.field_id === 'turnover_staffLeft').quality_flag).toBe('');
+  });
+});
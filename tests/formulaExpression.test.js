@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { applyCalculations, buildIndicator, compileFieldFormula } from '../src/utils/dataEngine';
+import { FormulaError, compileFormula } from '../src/utils/formulaExpression';
+
+const run = (text, data = {}, context = {}) => (
+  compileFormula(text, { fields: Object.keys(data) }).evaluate(data, context)
+);
+
+describe('compileFormula', () => {
+  it('follows operator precedence and parentheses', () => {
+    expect(run('1 + 2 * 3')).toBe(7);
+    expect(run('(1 + 2) * 3')).toBe(9);
+    expect(run('10 - 4 - 3')).toBe(3);
+    expect(run('-2 * 3 + 10 / 4')).toBe(-3.5);
+    expect(run('if(1 + 1 == 2 && !(3 < 2) || 1 > 2, 1, 0)')).toBe(1);
+  });
+
+  it('reads sibling fields and reports the ones it uses', () => {
+    const formula = compileFormula('round(left / average * 100)', { fields: ['left', 'average', 'unused'] });
+    expect(formula.inputs).toEqual(['left', 'average']);
+    expect(formula.evaluate({ left: 1, average: 3 })).toBe(33);
+  });
+
+  it('rejects unknown names and functions', () => {
+    expect(() => compileFormula('a + missing', { fields: ['a'] })).toThrow('"missing" is not a field of this indicator');
+    expect(() => compileFormula('eval(a)', { fields: ['a'] })).toThrow('Unknown function "eval"');
+    expect(() => compileFormula('constructor(a)', { fields: ['a'] })).toThrow(FormulaError);
+    expect(() => compileFormula('a +', { fields: ['a'] })).toThrow('Formula ends unexpectedly');
+  });
+
+  it('checks argument counts', () => {
+    expect(() => compileFormula('min()')).toThrow('min() takes at least 1 argument');
+    expect(() => compileFormula('max()')).toThrow('max() takes at least 1 argument');
+    expect(() => compileFormula('round(1, 2, 3)')).toThrow('round() takes 1 or 2 arguments');
+    expect(() => compileFormula('abs(1, 2)')).toThrow('abs() takes 1 argument');
+    expect(() => compileFormula('if(1 > 0, 1)')).toThrow('if() takes 3 arguments');
+    expect(run('min(3, 1, 2) + max(4) + round(1.25, 1) + abs(-1)')).toBe(7.3);
+  });
+
+  it('only produces numbers', () => {
+    expect(() => compileFormula('a > 1', { fields: ['a'] })).toThrow('A formula must produce a number, not a condition');
+    expect(() => compileFormula('1 == 1')).toThrow(FormulaError);
+    expect(() => compileFormula('if(a, 1, 2)', { fields: ['a'] })).toThrow('Argument 1 of if() must be a condition');
+    expect(() => compileFormula('(a > 1) + 1', { fields: ['a'] })).toThrow('Both sides of "+" must be a number');
+  });
+
+  it('returns null instead of Infinity or NaN', () => {
+    expect(run('a / b', { a: 1, b: 0 })).toBeNull();
+    expect(run('a / b', { a: 0, b: 0 })).toBeNull();
+    expect(run('a / b', { a: 1, b: 4 })).toBe(0.25);
+  });
+
+  it('evaluates only the chosen branch of if', () => {
+    const calls = [];
+    const probe = (value) => {
+      calls.push(value);
+      return value;
+    };
+    const formula = compileFormula('if(a > 0, probe(1), probe(2))', { fields: ['a'], helpers: { probe } });
+
+    expect(formula.evaluate({ a: 0 })).toBe(2);
+    expect(calls).toEqual([2]);
+  });
+});
+
+describe('reporting period values', () => {
+  it('mark formulas that need a period', () => {
+    const formula = compileFieldFormula('annualize(rate, annualizationFactor)', ['rate']);
+    expect(formula.requiresPeriod).toBe(true);
+    expect(formula.inputs).toEqual(['rate']);
+    expect(compileFieldFormula('rate * 2', ['rate']).requiresPeriod).toBe(false);
+    expect(run('annualizationFactor * 2')).toBeNull();
+  });
+
+  it('leave annualized values empty until a period is chosen', () => {
+    const indicators = [buildIndicator({ id: 'turnover', title: 'Staff Turnover Rate' })];
+    const responses = { turnover_staffAtStart: 10, turnover_staffAtEnd: 10, turnover_staffHired: 1, turnover_staffLeft: 1 };
+
+    const withoutPeriod = applyCalculations(indicators, responses);
+    expect(withoutPeriod.turnover_turnoverRate).toBe(10);
+    expect(withoutPeriod.turnover_annualizedTurnoverRate).toBeNull();
+    expect(applyCalculations(indicators, responses, { annualizationFactor: 4 }).turnover_annualizedTurnoverRate).toBe(40);
+  });
+});
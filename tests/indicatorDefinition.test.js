@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { IndicatorDefinitionError, buildIndicatorsFromCsv, parseIndicatorDefinitions } from '../src/utils/indicatorDefinition';
+
+// One workplan row per field: [indicator, field key, field type, extra cells]
+const workplan = (...rows) => rows.map(([Indicator, key, type, extra = {}]) => ({
+  Indicator,
+  'Measurement Method': '',
+  Notes: '',
+  'Field Key': key,
+  'Field Type': type,
+  Options: '',
+  Formula: '',
+  'Depends On': '',
+  ...extra
+}));
+
+const problems = (build) => {
+  try {
+    build();
+  } catch (error) {
+    expect(error).toBeInstanceOf(IndicatorDefinitionError);
+    return error.errors;
+  }
+  throw new Error('Expected an IndicatorDefinitionError');
+};
+
+describe('buildIndicatorsFromCsv', () => {
+  it('builds declared indicators from consecutive rows', () => {
+    const [indicator] = buildIndicatorsFromCsv(workplan(
+      ['Volunteers', 'hours', 'number'],
+      ['Volunteers', 'people', 'number'],
+      ['Volunteers', 'perPerson', 'calculated', { Formula: 'hours / people' }]
+    ));
+    expect(indicator.fields.map(field => field.id)).toEqual(['volunteers_hours', 'volunteers_people', 'volunteers_perPerson']);
+    expect(indicator.fields[2].inputs).toEqual(['hours', 'people']);
+  });
+
+  it('rejects an unknown field type', () => {
+    expect(problems(() => buildIndicatorsFromCsv(workplan(['Volunteers', 'hours', 'numbr'])))).toEqual([{
+      location: 'Row 2',
+      column: 'field_type',
+      message: expect.stringContaining('Unknown field type "numbr"')
+    }]);
+  });
+
+  it('rejects select fields without options', () => {
+    expect(problems(() => buildIndicatorsFromCsv(workplan(
+      ['Audit', 'kind', 'radio', { Options: 'Audit;Review' }],
+      ['Audit', 'firm', 'dropdown']
+    )))).toEqual([{ location: 'Row 3', column: 'options', message: 'dropdown fields need a list of options, e.g. "Yes;No"' }]);
+  });
+
+  it('rejects repeated field keys and indicator ids', () => {
+    expect(problems(() => buildIndicatorsFromCsv(workplan(
+      ['Volunteers', 'hours', 'number'],
+      ['Volunteers', 'hours', 'currency']
+    )))).toEqual([{ location: 'Row 3', column: 'field_key', message: 'Field key "hours" is used more than once in "Volunteers"' }]);
+
+    expect(problems(() => buildIndicatorsFromCsv(workplan(
+      ['Volunteers', 'hours', 'number', { ID: 'V1' }],
+      ['Donors', 'count', 'number', { ID: 'V1' }]
+    )))).toEqual([{ location: 'Row 3', column: 'ID', message: 'ID "V1" is used more than once' }]);
+  });
+
+  it('rejects calculations that depend on each other', () => {
+    expect(problems(() => buildIndicatorsFromCsv(workplan(
+      ['Volunteers', 'hours', 'number'],
+      ['Volunteers', 'first', 'calculated', { Formula: 'second + hours' }],
+      ['Volunteers', 'second', 'calculated', { Formula: 'first * 2' }]
+    )))).toEqual([{ location: 'Row 3', column: 'formula', message: expect.stringContaining('Circular calculation dependency') }]);
+  });
+
+  it('rejects depends_on pointing at a missing field', () => {
+    expect(problems(() => buildIndicatorsFromCsv(workplan(
+      ['Wellness', 'offered', 'radio', { Options: 'yes=Yes;no=No' }],
+      ['Wellness', 'details', 'text_short', { 'Depends On': 'offerd=yes' }]
+    )))).toEqual([{ location: 'Row 3', column: 'depends_on', message: '"offerd" is not a field of this indicator' }]);
+  });
+
+  it('lists every invalid row at once', () => {
+    const errors = problems(() => buildIndicatorsFromCsv(workplan(
+      ['Volunteers', 'hours', 'numbr'],
+      ['Audit', 'firm', 'dropdown']
+    )));
+    expect(errors.map(error => error.location)).toEqual(['Row 2', 'Row 3']);
+  });
+});
+
+describe('parseIndicatorDefinitions', () => {
+  const definitions = (...indicators) => JSON.stringify({ schemaVersion: 1, indicators });
+
+  it('reports problems by JSON path', () => {
+    const errors = problems(() => parseIndicatorDefinitions(definitions(
+      { id: 'audit', title: 'Audit', fields: [{ key: 'firm', type: 'radio' }, { key: 'kind', type: 'numbr' }] },
+      { id: 'audit', title: 'Audit again', fields: [{ key: 'total', type: 'number' }, { key: 'total', type: 'number' }] },
+      {
+        title: 'Wellness',
+        fields: [
+          { key: 'a', type: 'calculated', formula: 'b + 1' },
+          { key: 'b', type: 'calculated', formula: 'a + 1' },
+          { key: 'details', type: 'text_short', dependsOn: { field: 'offered', value: 'yes' } }
+        ]
+      }
+    )));
+
+    expect(errors).toEqual([
+      { location: 'indicators[0].fields[0]', column: 'options', message: expect.stringContaining('need a list of options') },
+      { location: 'indicators[0].fields[1]', column: 'field_type', message: expect.stringContaining('Unknown field type "numbr"') },
+      { location: 'indicators[1]', column: 'id', message: 'ID "audit" is used more than once' },
+      { location: 'indicators[1].fields[1]', column: 'field_key', message: expect.stringContaining('"total" is used more than once') },
+      { location: 'indicators[2].fields[2]', column: 'depends_on', message: '"offered" is not a field of this indicator' }
+    ]);
+  });
+
+  it('reports calculation cycles', () => {
+    expect(problems(() => parseIndicatorDefinitions(definitions({
+      title: 'Wellness',
+      fields: [
+        { key: 'a', type: 'calculated', formula: 'b + 1' },
+        { key: 'b', type: 'calculated', formula: 'a + 1' }
+      ]
+    })))).toEqual([{ location: 'indicators[0].fields[0]', column: 'formula', message: expect.stringContaining('Circular calculation dependency') }]);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest';
+import { IdSources, assignIndicatorIds, createIdMigration, migrateResponses, titleToId } from '../src/utils/indicatorIds';
+import { buildIndicator, findIndicatorColumns } from '../src/utils/dataEngine';
+import { buildIndicatorsFromCsv } from '../src/utils/indicatorDefinition';
+
+const WELLNESS_METHOD = 'Do you have a benefits package? (Yes/No) Which of the following? (Check all that apply): ☐ Health and/or dental insurance ☐ Other';
+
+const workplan = (...rows) => rows.map(([Indicator, method = '', ID]) => ({
+  ...(ID !== undefined && { ID }),
+  Indicator,
+  'Measurement Method': method,
+  Notes: ''
+}));
+
+describe('titleToId', () => {
+  it('slugs titles', () => {
+    expect(titleToId('  Staff Turnover Rate ')).toBe('staff_turnover_rate');
+    expect(titleToId('Équité salariale (%)')).toBe('equite_salariale');
+  });
+
+  it('keeps long titles unique with a hash', () => {
+    const long = 'Percentage of participants who report increased confidence after the program';
+    const id = titleToId(long);
+    expect(id.length).toBeLessThanOrEqual(48);
+    expect(id).not.toBe(titleToId(`${long} ends`));
+  });
+
+  it('hashes titles without Latin letters or digits', () => {
+    expect(titleToId('ᐊᐃᑦᓯᓐ')).toMatch(/^indicator_[0-9a-f]{8}$/);
+  });
+});
+
+describe('assignIndicatorIds', () => {
+  it('keeps explicit ids and suffixes repeated titles', () => {
+    expect(assignIndicatorIds([
+      { title: 'Funding Ratio' },
+      { id: ' funding_ratio ', title: 'Core Funding' },
+      { title: 'Funding Ratio' }
+    ])).toEqual([
+      { id: 'funding_ratio_2', idSource: IdSources.TITLE },
+      { id: 'funding_ratio', idSource: IdSources.EXPLICIT },
+      { id: 'funding_ratio_3', idSource: IdSources.TITLE }
+    ]);
+  });
+
+  it('reports repeated explicit ids', () => {
+    const ids = assignIndicatorIds([{ id: 'A1', title: 'One' }, { id: 'A1', title: 'Two' }]);
+    expect(ids[0].error).toBeUndefined();
+    expect(ids[1].error).toBe('ID "A1" is used more than once');
+  });
+
+  it('replaces characters that are unsafe in ids and paths', () => {
+    expect(assignIndicatorIds([{ id: '../A 1/B', title: 'One' }, { id: 'HR-01', title: 'Two' }, { id: '//', title: 'Three' }])).toEqual([
+      { id: 'A_1_B', idSource: IdSources.EXPLICIT },
+      { id: 'HR-01', idSource: IdSources.EXPLICIT },
+      { id: 'three', idSource: IdSources.TITLE }
+    ]);
+  });
+});
+
+describe('workplan ids', () => {
+  it('do not depend on row position', () => {
+    const before = buildIndicatorsFromCsv(workplan(['Staff Turnover Rate'], ['Client Satisfaction']));
+    const after = buildIndicatorsFromCsv(workplan(['New Indicator'], ['Client Satisfaction'], ['Staff Turnover Rate']));
+    expect(before.map(indicator => indicator.id)).toEqual(['staff_turnover_rate', 'client_satisfaction']);
+    expect(after.map(indicator => indicator.id)).toEqual(['new_indicator', 'client_satisfaction', 'staff_turnover_rate']);
+  });
+
+  it('come from the ID column when there is one', () => {
+    const indicators = buildIndicatorsFromCsv(workplan(['Staff Turnover Rate', '', 'HR-1'], ['Client Satisfaction', '', '']));
+    expect(indicators.map(indicator => indicator.id)).toEqual(['HR-1', 'client_satisfaction']);
+    expect(indicators[0].fields[0].id).toBe('HR-1_staffAtStart');
+  });
+
+  it('reject a repeated ID', () => {
+    expect(() => buildIndicatorsFromCsv(workplan(['One', '', 'X'], ['Two', '', 'X'])))
+      .toThrow('Row 3 (ID): ID "X" is used more than once');
+  });
+
+  it('never read an "Indicator ID" column as the indicator name', () => {
+    expect(findIndicatorColumns(['Indicator ID', 'Indicator', 'Method'])).toMatchObject({
+      idCol: 'Indicator ID',
+      indicatorCol: 'Indicator'
+    });
+  });
+});
+
+describe('createIdMigration', () => {
+  const previous = [
+    buildIndicator({ id: 'indicator_0', title: 'Staff Turnover Rate' }),
+    buildIndicator({ id: 'indicator_1', title: 'Employee Wellness Package', method: WELLNESS_METHOD }),
+    buildIndicator({ id: 'indicator_2', title: 'Volunteer Hours' })
+  ];
+  const current = buildIndicatorsFromCsv(workplan(
+    ['Staff Wellness Supports', WELLNESS_METHOD],
+    ['Staff Turnover Rate']
+  ));
+
+  it('follows reordered and renamed indicators', () => {
+    const migration = createIdMigration(previous, current);
+    expect(migration.indicators).toEqual({
+      indicator_0: 'staff_turnover_rate',
+      indicator_1: 'staff_wellness_supports'
+    });
+    expect(migration.renamed).toEqual([
+      { id: 'staff_wellness_supports', previousTitle: 'Employee Wellness Package', title: 'Staff Wellness Supports' }
+    ]);
+    expect(migration.removed.map(indicator => indicator.id)).toEqual(['indicator_2']);
+    expect(migration.added).toEqual([]);
+  });
+
+  it('re-keys responses and drops answers to removed fields', () => {
+    const migration = createIdMigration(previous, current);
+    expect(migrateResponses({
+      indicator_0_staffLeft: 2,
+      indicator_1_details: ['health_dental', 'other'],
+      indicator_1_details_other: 'Bus passes',
+      indicator_2_main: '40'
+    }, migration)).toEqual({
+      staff_turnover_rate_staffLeft: 2,
+      staff_wellness_supports_details: ['health_dental', 'other'],
+      staff_wellness_supports_details_other: 'Bus passes'
+    });
+  });
+
+  it('does not pair positional ids whose title changed', () => {
+    const migration = createIdMigration(
+      [buildIndicator({ id: 'indicator_0', title: 'Volunteer Hours' })],
+      [buildIndicator({ id: 'indicator_0', title: 'Staff Turnover Rate' })]
+    );
+    expect(migration.indicators).toEqual({});
+  });
+});
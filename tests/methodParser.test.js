@@ -0,0 +1,74 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { MethodTokens, parseMethod, tokenizeMethod } from '../src/utils/methodParser';
+import { StandardOptions, createFieldConfig } from '../src/utils/dataEngine';
+
+const methodCases = JSON.parse(readFileSync(new URL('./fixtures/measurement-methods.json', import.meta.url), 'utf8'));
+
+describe('tokenizeMethod', () => {
+  it.each(methodCases)('tokenizes "$method"', ({ method, tokens }) => {
+    expect(tokenizeMethod(method)).toEqual(tokens);
+  });
+
+  it('treats missing text as empty', () => {
+    expect(tokenizeMethod(undefined)).toEqual([]);
+    expect(tokenizeMethod(null)).toEqual([]);
+  });
+
+  it('only matches keywords at word starts', () => {
+    const types = tokenizeMethod('List the anyes/no items and checkoptions: none').map(token => token.type);
+    expect(types).toEqual([MethodTokens.TEXT]);
+  });
+});
+
+describe('parseMethod', () => {
+  it('pairs each marker with the question before it', () => {
+    const parsed = parseMethod('Do you have a policy? (YES/NO) Which parts does it cover? (check all that apply): ☐ Hiring ☐ Pay');
+    expect(parsed.yesNoQuestion).toBe('Do you have a policy?');
+    expect(parsed.checkAllQuestion).toBe('Which parts does it cover?');
+    expect(parsed.options).toEqual(['Hiring', 'Pay']);
+  });
+
+  it('reports no question when a marker stands alone', () => {
+    const parsed = parseMethod('Yes/No');
+    expect(parsed.hasYesNo).toBe(true);
+    expect(parsed.yesNoQuestion).toBeNull();
+  });
+
+  it('reads scale ranges', () => {
+    expect(parseMethod('Rate on a scale of 1 to 7').scale).toEqual({ min: 1, max: 7 });
+    expect(parseMethod('Served 2-40 clients').scale).toBeNull();
+  });
+});
+
+describe('createFieldConfig', () => {
+  it('recognizes multi-part questions regardless of case', () => {
+    const config = createFieldConfig(
+      'Pay Equity Policy',
+      'Does your organization have a pay equity policy? (yes/no) Which of the following are included? (CHECK ALL THAT APPLY): ☐ Salary bands ☐ Annual review'
+    );
+    expect(config.rule).toBe('multiPart');
+    expect(config.fields[0].label).toBe('Does your organization have a pay equity policy?');
+    expect(config.fields[1].options.map(option => option.value)).toEqual(['salary_bands', 'annual_review', 'other']);
+  });
+
+  it('uses the benefits checklist for benefits questions without listed options', () => {
+    const config = createFieldConfig('Staff Benefits', 'check all that apply');
+    expect(config.rule).toBe('wellnessBenefits');
+    expect(config.options).toBe(StandardOptions.employeeBenefits);
+  });
+
+  it('keeps workplan options under their standard values', () => {
+    const config = createFieldConfig('Board Supports', 'Check all that apply: ☐ Per-meeting stipend ☐ Childcare ☐ Other');
+    expect(config.options.map(option => option.value)).toEqual(['per_meeting', 'childcare', 'other']);
+  });
+
+  it('builds numbered scales from the method range', () => {
+    expect(createFieldConfig('Client Satisfaction', 'Rate satisfaction on scale of 1-5').scale)
+      .toBe(StandardOptions.satisfactionScale);
+
+    const config = createFieldConfig('Partnership Strength', 'Rate the partnership from 0 to 10');
+    expect(config.rule).toBe('ratingScale');
+    expect(config.scale.map(option => option.value)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { buildIndicator } from '../src/utils/dataEngine';
+import { aggregateReports } from '../src/utils/networkAggregation';
+
+const indicators = [buildIndicator({ id: 'turnover', title: 'Staff Turnover Rate' })];
+
+const report = (organization, staffLeft, { periodLabel = 'FY 2025', fileName } = {}) => ({
+  fileName: fileName || `${organization.code || organization.name}.json`,
+  organization,
+  period: { label: periodLabel },
+  indicators,
+  responses: { turnover_staffLeft: staffLeft }
+});
+
+const staffLeft = (aggregate) => aggregate.indicators[0].fields.find(field => field.key === 'staffLeft');
+
+describe('aggregateReports', () => {
+  it('tells organizations apart by code, not display name', () => {
+    const aggregate = aggregateReports([
+      report({ name: 'Harbour House', code: 'HH' }, 1),
+      report({ name: 'Harbour House Society', code: 'HH' }, 3, { periodLabel: 'FY 2024' }),
+      report({ name: 'Community Centre', code: 'CC1' }, 5),
+      report({ name: 'Community Centre', code: 'CC2' }, 7)
+    ]);
+    expect(aggregate.organizationCount).toBe(3);
+    expect(aggregate.indicators[0].organizationCount).toBe(3);
+    expect(aggregate.duplicates).toEqual([]);
+  });
+
+  it('leaves duplicate reports out of the summaries', () => {
+    const aggregate = aggregateReports([
+      report({ name: 'Harbour House', code: 'HH' }, 2),
+      report({ name: 'Community Centre', code: 'CC' }, 4),
+      report({ name: 'Harbour House', code: 'HH' }, 30, { fileName: 'HH-copy.json' })
+    ]);
+    expect(aggregate.duplicates).toEqual([
+      { code: 'HH', periodLabel: 'FY 2025', fileNames: ['HH.json', 'HH-copy.json'], reportIndexes: [0, 2] }
+    ]);
+    expect(aggregate.organizations).toHaveLength(3);
+    expect(aggregate.indicators[0].organizationCount).toBe(2);
+    expect(staffLeft(aggregate)).toMatchObject({ respondents: 2, summary: { count: 2, mean: 3, max: 4 } });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import {
+  NonResponseReasons,
+  applyCalculations,
+  buildIndicator,
+  calculateCompletionScore,
+  calculateIndicatorQuality,
+  getNonResponseReason,
+  validateIndicator
+} from '../src/utils/dataEngine';
+import { aggregateReports } from '../src/utils/networkAggregation';
+import { parseReport, serializeReport } from '../src/utils/reportSchema';
+import { buildResponseRows, parseResponseCsv, toResponseCsv } from '../src/utils/tabularExport';
+
+const indicators = [
+  buildIndicator({ id: 'turnover', title: 'Staff Turnover Rate' }),
+  buildIndicator({ id: 'budget', title: 'Annual Budget' })
+];
+
+const declined = applyCalculations(indicators, {
+  turnover_staffAtStart: 10,
+  turnover_staffAtEnd: 12,
+  turnover_staffHired: 3,
+  turnover_staffLeft: null,
+  turnover_staffLeft_reason: NonResponseReasons.UNKNOWN,
+  budget_main_reason: NonResponseReasons.PREFER_NOT_TO_DISCLOSE
+});
+
+const report = {
+  organization: { name: 'Harbour House', code: 'HH' },
+  period: { label: 'FY 2025' },
+  indicators,
+  responses: declined
+};
+
+describe('non-response reasons', () => {
+  it('only applies to fields without a value', () => {
+    const field = indicators[1].fields[0];
+    expect(getNonResponseReason(field, declined)).toBe(NonResponseReasons.PREFER_NOT_TO_DISCLOSE);
+    expect(getNonResponseReason(field, { ...declined, budget_main: 0 })).toBeNull();
+    expect(getNonResponseReason(field, { budget_main_reason: 'maybe' })).toBeNull();
+  });
+
+  it('counts as complete and passes validation', () => {
+    expect(calculateCompletionScore([indicators[1]], declined).percentage).toBe(100);
+    expect(validateIndicator(indicators[1], declined)).toEqual({});
+    expect(calculateIndicatorQuality(indicators[1], declined).overallScore).toBe(100);
+  });
+
+  it('is left out of calculations', () => {
+    expect(declined.turnover_turnoverRate ?? null).toBeNull();
+  });
+
+  it('round-trips through the JSON export', () => {
+    const exported = serializeReport(report);
+    const budget = exported.indicators.find(indicator => indicator.id === 'budget').responses[0];
+    expect(budget).toMatchObject({ value: null, nonResponse: NonResponseReasons.PREFER_NOT_TO_DISCLOSE });
+
+    const restored = parseReport(exported);
+    expect(restored.responses.budget_main_reason).toBe(NonResponseReasons.PREFER_NOT_TO_DISCLOSE);
+    expect(restored.responses.turnover_staffLeft_reason).toBe(NonResponseReasons.UNKNOWN);
+  });
+
+  it('round-trips through the CSV export', () => {
+    const row = buildResponseRows(report).rows.find(candidate => candidate.field_id === 'budget_main');
+    expect(row).toMatchObject({ value: '', non_response: 'prefer_not_to_disclose', display_value: 'Prefer not to disclose' });
+
+    const { responses } = parseResponseCsv(toResponseCsv(report));
+    expect(responses.budget_main).toBeNull();
+    expect(responses.budget_main_reason).toBe(NonResponseReasons.PREFER_NOT_TO_DISCLOSE);
+  });
+
+  it('is counted apart from real answers when aggregating', () => {
+    const answered = { ...report, organization: { name: 'Northside' }, responses: { turnover_staffLeft: 0 } };
+    const [turnover] = aggregateReports([report, answered]).indicators;
+    expect(turnover.fields.find(field => field.key === 'staffLeft')).toMatchObject({
+      respondents: 1,
+      nonResponses: { not_applicable: 0, prefer_not_to_disclose: 0, unknown: 1 },
+      summary: { mean: 0 }
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { strFromU8, strToU8, unzipSync } from 'fflate';
+import { buildIndicator } from '../src/utils/dataEngine';
+import { attachmentPath, migrateEvidence, updateIndicatorEvidence } from '../src/utils/evidence';
+import { MANIFEST_FILE, REPORT_FILE, buildReportPackage } from '../src/utils/reportPackage';
+import { parseReport, serializeReport } from '../src/utils/reportSchema';
+
+const indicators = [
+  buildIndicator({ id: 'audit', title: 'Audit Type' }),
+  buildIndicator({ id: 'board', title: 'Board Meeting Attendance' })
+];
+
+const minutes = { id: 'file_1', name: 'minutes/march.pdf', type: 'application/pdf', size: 5, addedAt: '2025-04-01T00:00:00.000Z' };
+
+const evidence = {
+  board: { sourceNote: 'Board minutes, March 12', attachments: [minutes] }
+};
+
+const report = serializeReport({
+  organization: { name: 'Harbour House', code: 'HH' },
+  period: null,
+  indicators,
+  responses: {},
+  evidence
+});
+
+describe('indicator evidence', () => {
+  it('drops indicators left without a note or files', () => {
+    const updated = updateIndicatorEvidence(evidence, 'audit', { sourceNote: 'Audited statements' });
+    expect(Object.keys(updated)).toEqual(['board', 'audit']);
+    expect(updateIndicatorEvidence(updated, 'audit', { sourceNote: '  ' })).toEqual(evidence);
+  });
+
+  it('follows indicators across workplan revisions', () => {
+    expect(migrateEvidence(evidence, { indicators: { board: 'board_attendance' } })).toEqual({
+      board_attendance: evidence.board
+    });
+    expect(migrateEvidence(evidence, { indicators: {} })).toEqual({});
+  });
+
+  it('keeps attachment paths inside the indicator folder', () => {
+    expect(attachmentPath('../A 1/B', minutes)).toBe('evidence/_A_1_B/file_1-minutes_march.pdf');
+  });
+
+  it('is exported per indicator and the source note re-opens', () => {
+    expect(report.indicators[0].evidence).toBeUndefined();
+    expect(report.indicators[1].evidence).toEqual({
+      sourceNote: 'Board minutes, March 12',
+      attachments: [{ name: 'minutes/march.pdf', type: 'application/pdf', size: 5, addedAt: minutes.addedAt, path: 'evidence/board/file_1-minutes_march.pdf' }]
+    });
+    expect(parseReport(report).evidence).toEqual({ board: { sourceNote: 'Board minutes, March 12', attachments: [] } });
+  });
+});
+
+describe('buildReportPackage', () => {
+  const files = [{ ...minutes, indicatorId: 'board', data: strToU8('%PDF-') }];
+  const archive = unzipSync(buildReportPackage({ report, files, createdAt: new Date('2025-04-02T00:00:00Z') }));
+
+  it('bundles the report, the files and a manifest', () => {
+    expect(Object.keys(archive).sort()).toEqual([attachmentPath('board', minutes), MANIFEST_FILE, REPORT_FILE].sort());
+    expect(JSON.parse(strFromU8(archive[REPORT_FILE]))).toEqual(report);
+    expect(strFromU8(archive[attachmentPath('board', minutes)])).toBe('%PDF-');
+  });
+
+  it('describes every file in the manifest', () => {
+    const manifest = JSON.parse(strFromU8(archive[MANIFEST_FILE]));
+    expect(manifest).toMatchObject({
+      createdAt: '2025-04-02T00:00:00.000Z',
+      organization: { name: 'Harbour House', code: 'HH' },
+      report: REPORT_FILE,
+      missing: []
+    });
+    expect(manifest.files).toEqual([{
+      path: 'evidence/board/file_1-minutes_march.pdf',
+      indicatorId: 'board',
+      indicatorTitle: 'Board Meeting Attendance',
+      name: 'minutes/march.pdf',
+      type: 'application/pdf',
+      size: 5,
+      sourceNote: 'Board minutes, March 12'
+    }]);
+  });
+});
@@ -0,0 +1,37 @@
+import { readFileSync } from 'node:fs';
+import Papa from 'papaparse';
+import { describe, expect, it } from 'vitest';
+import { createFieldConfig } from '../src/utils/dataEngine';
+import { buildIndicatorsFromCsv } from '../src/utils/indicatorDefinition';
+
+// Each sample workplan in the repository root has a fixture describing the form built from it
+const SAMPLES = ['sample-indicators', 'universal-indicators-sample'];
+
+const readText = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+const describeIndicator = (indicator) => ({
+  id: indicator.id,
+  title: indicator.title,
+  rule: createFieldConfig(indicator.title, indicator.method).rule,
+  tier: indicator.tier,
+  tierSource: indicator.tierSource,
+  fields: indicator.fields.map(field => ({
+    key: field.key,
+    type: field.type,
+    label: field.label,
+    ...(field.options && { options: field.options.map(option => option.value) }),
+    ...(field.dependsOn && {
+      dependsOn: indicator.fields.find(other => other.id === field.dependsOn).key,
+      dependsOnValue: field.dependsOnValue
+    })
+  }))
+});
+
+describe.each(SAMPLES)('%s.csv', (sample) => {
+  const { data } = Papa.parse(readText(`../${sample}.csv`), { header: true, skipEmptyLines: true });
+  const expected = JSON.parse(readText(`./fixtures/${sample}.expected.json`));
+
+  it('builds the expected indicators', () => {
+    expect(buildIndicatorsFromCsv(data).map(describeIndicator)).toEqual(expected);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { buildIndicator, validateReport } from '../src/utils/dataEngine';
+import { buildComparison } from '../src/utils/periodComparison';
+import { parseReport, serializeReport } from '../src/utils/reportSchema';
+import {
+  IntegrityStatus,
+  canonicalJson,
+  createSubmittedReport,
+  submissionBlockers,
+  validateAttestation,
+  verifyReport
+} from '../src/utils/submission';
+
+const indicators = [buildIndicator({ id: 'story', title: 'Participant Story' })];
+const responses = { story_main: 'A participant found housing' };
+
+const attestation = {
+  preparerName: 'Sam Rivera',
+  preparerRole: 'Executive Director',
+  boardApprover: 'Jordan Lee',
+  approvalDate: '2025-04-10'
+};
+
+const submit = (state = {}) => createSubmittedReport({
+  organization: { name: 'Harbour House', code: 'HH' },
+  period: null,
+  indicators,
+  responses,
+  reviewed: { story: true },
+  attestation,
+  submittedAt: new Date('2025-04-11T12:00:00Z'),
+  ...state
+});
+
+describe('review and sign-off', () => {
+  it('requires every attestation entry and a valid date', () => {
+    expect(validateAttestation(attestation)).toEqual({});
+    expect(Object.keys(validateAttestation({ ...attestation, boardApprover: ' ' }))).toEqual(['boardApprover']);
+    expect(validateAttestation({ ...attestation, approvalDate: 'April 10' }).approvalDate).toMatch(/YYYY-MM-DD/);
+  });
+
+  it('lists what blocks submission', () => {
+    const validation = validateReport(indicators, responses);
+    expect(submissionBlockers({ indicators, validation, reviewed: { story: true }, attestation })).toEqual([]);
+    expect(submissionBlockers({ indicators, validation, reviewed: {}, attestation: {} })).toEqual([
+      'Mark 1 more indicator as reviewed',
+      'Complete the sign-off'
+    ]);
+  });
+
+  it('writes the sign-off into the report', async () => {
+    const report = await submit();
+    expect(report.submission).toMatchObject({
+      submittedAt: '2025-04-11T12:00:00.000Z',
+      preparer: { name: 'Sam Rivera', role: 'Executive Director' },
+      boardApprover: 'Jordan Lee',
+      approvalDate: '2025-04-10',
+      reviewedIndicators: ['story'],
+      contentHash: { algorithm: 'SHA-256' }
+    });
+    expect(report.submission.contentHash.value).toMatch(/^[0-9a-f]{64}$/);
+    expect(report.submissionDate).toBe('2025-04-11T12:00:00.000Z');
+    expect(parseReport(report).submission).toEqual(report.submission);
+  });
+
+  it('signs the comparison with a prior period and the evidence', async () => {
+    const previous = parseReport(serializeReport({ organization: null, period: null, indicators, responses: { story_main: 'Earlier story' } }));
+    const comparison = buildComparison({ indicators, responses, previous });
+    const evidence = { story: { sourceNote: 'Intake interview notes', attachments: [] } };
+
+    const report = await submit({ comparison, evidence });
+    expect(report.comparison.rows).toHaveLength(1);
+    expect(report.indicators[0].evidence.sourceNote).toBe('Intake interview notes');
+    expect(await verifyReport(report)).toBe(IntegrityStatus.VALID);
+  });
+
+  it('refuses to submit until reviewed and signed off', async () => {
+    await expect(submit({ reviewed: {} })).rejects.toThrow('Mark 1 more indicator as reviewed');
+    await expect(submit({ attestation: { ...attestation, boardApprover: '' } })).rejects.toThrow('Complete the sign-off');
+  });
+});
+
+describe('content hash', () => {
+  it('ignores key order', () => {
+    expect(canonicalJson({ b: [1, { d: null, c: 'x' }], a: true })).toBe('{"a":true,"b":[1,{"c":"x","d":null}]}');
+  });
+
+  it('detects edits made after submission', async () => {
+    const report = await submit();
+    expect(await verifyReport(JSON.parse(JSON.stringify(report)))).toBe(IntegrityStatus.VALID);
+
+    const edited = structuredClone(report);
+    edited.indicators[0].responses[0].value = 'Edited later';
+    expect(await verifyReport(edited)).toBe(IntegrityStatus.MODIFIED);
+  });
+
+  it('treats reports without a hash as unsigned', async () => {
+    const draft = serializeReport({ organization: null, period: null, indicators, responses });
+    expect(await verifyReport(draft)).toBe(IntegrityStatus.UNSIGNED);
+  });
+});